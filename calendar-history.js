@@ -0,0 +1,72 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadCliConfig } from "./cli-options.js";
+import { loadCalendarSnapshots } from "./calendar-store.js";
+import { summarizeCalendar } from "./calendar.js";
+import { calculatePickup } from "./metrics.js";
+
+/**
+ * Show how a listing's calendar evolved between runs, one row per snapshot
+ * with the nights picked up since the snapshot before it:
+ *
+ *   bun run calendar-history <listing ID> [--csv]
+ *
+ * --csv prints the rows as CSV instead of a table, for charting.
+ */
+
+// Get directory path
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const csv = process.argv.includes("--csv");
+
+let config;
+let cliOptions;
+try {
+  ({ config, options: cliOptions } = await loadCliConfig(__dirname));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+// The listing is given as the first argument, or with --listing=<id>
+const listingId = process.argv.slice(2).find((arg) => !arg.startsWith("--")) || cliOptions.listings[0];
+
+if (!listingId) {
+  console.error("Usage: bun run calendar-history <listing ID> [--csv]");
+  process.exit(1);
+}
+
+const snapshotDir = (config.calendar && config.calendar.snapshotDir) || "calendar-snapshots";
+const snapshots = await loadCalendarSnapshots(snapshotDir, listingId);
+if (snapshots.length === 0) {
+  console.error(`No calendar snapshots for listing ${listingId} in ${snapshotDir}`);
+  process.exit(1);
+}
+
+const rows = snapshots.map((snapshot, index) => {
+  const summary = summarizeCalendar(snapshot.nights, snapshot.date);
+  const prices = snapshot.nights.map((night) => night.price).filter((price) => price !== null);
+  const formatBooked = (window) => `${summary[window].booked}/${summary[window].nights}`;
+
+  return {
+    date: snapshot.date,
+    nights: snapshot.nights.length,
+    "booked 7d": formatBooked("sevenDay"),
+    "booked 30d": formatBooked("thirtyDay"),
+    "booked 60d": formatBooked("sixtyDay"),
+    "booked total": snapshot.nights.filter((night) => night.booked).length,
+    pickup: index > 0 ? calculatePickup(snapshots[index - 1].nights, snapshot.nights) : null,
+    "avg price": prices.length > 0 ? Math.round(prices.reduce((sum, price) => sum + price, 0) / prices.length) : null
+  };
+});
+
+if (csv) {
+  const headers = Object.keys(rows[0]);
+  console.log(headers.join(","));
+  for (const row of rows) {
+    console.log(headers.map((header) => row[header] ?? "").join(","));
+  }
+} else {
+  console.log(`Calendar snapshots of listing ${listingId}:`);
+  console.table(rows);
+}
@@ -0,0 +1,94 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Dated snapshots of the calendar nights scraped for each listing, one file
+ * per listing and day: <snapshotDir>/<listing ID>/<YYYY-MM-DD>.json. A later
+ * run on the same day replaces that day's snapshot.
+ */
+
+/**
+ * Save a listing's calendar snapshot
+ * @param {string} snapshotDir - Snapshot directory
+ * @param {string} listingId - Listing ID
+ * @param {string} date - Date of the snapshot (YYYY-MM-DD)
+ * @param {Array<Object>} nights - Upcoming nights ({ date, price, booked, minStay })
+ * @param {Object} [meta] - Extra fields to store, e.g. { runId }
+ * @returns {Promise<string>} - Path of the snapshot file
+ */
+export async function saveCalendarSnapshot(snapshotDir, listingId, date, nights, meta = {}) {
+  const listingDir = path.join(snapshotDir, safeFileName(listingId));
+  await fs.mkdir(listingDir, { recursive: true });
+
+  const file = path.join(listingDir, `${date}.json`);
+  const snapshot = { listingId, date, capturedAt: new Date().toISOString(), ...meta, nights };
+  await fs.writeFile(file, JSON.stringify(snapshot, null, 2), "utf8");
+  return file;
+}
+
+/**
+ * Load a listing's calendar snapshots
+ * @param {string} snapshotDir - Snapshot directory
+ * @param {string} listingId - Listing ID
+ * @returns {Promise<Array<Object>>} - Snapshots ({ listingId, date, capturedAt, nights }), oldest first
+ */
+export async function loadCalendarSnapshots(snapshotDir, listingId) {
+  const listingDir = path.join(snapshotDir, safeFileName(listingId));
+
+  let files;
+  try {
+    files = await fs.readdir(listingDir);
+  } catch {
+    return [];
+  }
+
+  const snapshots = [];
+  for (const file of files.filter((name) => /^\d{4}-\d{2}-\d{2}\.json$/.test(name)).sort()) {
+    try {
+      snapshots.push(JSON.parse(await fs.readFile(path.join(listingDir, file), "utf8")));
+    } catch (error) {
+      console.error(`Skipping unreadable calendar snapshot ${path.join(listingDir, file)}: ${error.message}`);
+    }
+  }
+  return snapshots;
+}
+
+/**
+ * Load a listing's latest calendar snapshot from before a date
+ * @param {string} snapshotDir - Snapshot directory
+ * @param {string} listingId - Listing ID
+ * @param {string} beforeDate - Only snapshots older than this date count (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} - Snapshot ({ listingId, date, capturedAt, nights }), or null if there is none
+ */
+export async function loadLatestCalendarSnapshot(snapshotDir, listingId, beforeDate) {
+  const listingDir = path.join(snapshotDir, safeFileName(listingId));
+
+  let files;
+  try {
+    files = await fs.readdir(listingDir);
+  } catch {
+    return null;
+  }
+
+  const latest = files
+    .filter((name) => /^\d{4}-\d{2}-\d{2}\.json$/.test(name) && name.slice(0, 10) < beforeDate)
+    .sort()
+    .pop();
+  if (!latest) return null;
+
+  try {
+    return JSON.parse(await fs.readFile(path.join(listingDir, latest), "utf8"));
+  } catch (error) {
+    console.error(`Skipping unreadable calendar snapshot ${path.join(listingDir, latest)}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Turn a listing ID into a directory name (IDs of URLs without a listing ID are whole URLs)
+ * @param {string} listingId - Listing ID
+ * @returns {string} - Safe directory name
+ */
+function safeFileName(listingId) {
+  return String(listingId).replace(/[^A-Za-z0-9_-]/g, "_");
+}
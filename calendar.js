@@ -0,0 +1,64 @@
+/**
+ * Helpers for the calendar nights scraped from a listing's pricing page
+ * ({ date, price, booked, minStay }). No Node dependencies: the strategy core
+ * uses them too.
+ */
+
+// Occupancy windows of the pricing page, in nights from today
+export const CALENDAR_WINDOWS = {
+  sevenDay: 7,
+  thirtyDay: 30,
+  sixtyDay: 60
+};
+
+/**
+ * Keep the nights from a date on, in date order and without duplicates
+ * @param {Array<Object>} nights - Scraped nights ({ date, price, booked, minStay })
+ * @param {string} fromDate - First night to keep (YYYY-MM-DD)
+ * @param {number} count - Number of nights to keep
+ * @returns {Array<Object>} - Upcoming nights
+ */
+export function selectUpcomingNights(nights, fromDate, count) {
+  const lastDate = addDays(fromDate, count - 1);
+  const byDate = new Map();
+  for (const night of nights) {
+    if (night.date && night.date >= fromDate && night.date <= lastDate && !byDate.has(night.date)) {
+      byDate.set(night.date, night);
+    }
+  }
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Summarize the booked nights of a calendar per occupancy window
+ * @param {Array<Object>} nights - Upcoming nights, from selectUpcomingNights()
+ * @param {string} fromDate - First night of the windows (YYYY-MM-DD)
+ * @returns {Object} - Per window ({ sevenDay, thirtyDay, sixtyDay }): { nights, booked, occupancy },
+ *   where occupancy is null when the calendar doesn't cover the whole window
+ */
+export function summarizeCalendar(nights, fromDate) {
+  const summary = {};
+  for (const [window, days] of Object.entries(CALENDAR_WINDOWS)) {
+    const lastDate = addDays(fromDate, days - 1);
+    const inWindow = nights.filter((night) => night.date >= fromDate && night.date <= lastDate);
+    const booked = inWindow.filter((night) => night.booked).length;
+    summary[window] = {
+      nights: inWindow.length,
+      booked,
+      occupancy: inWindow.length === days ? booked / days : null
+    };
+  }
+  return summary;
+}
+
+/**
+ * Add days to a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} - Resulting date (YYYY-MM-DD)
+ */
+export function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().split("T")[0];
+}
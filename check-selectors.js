@@ -0,0 +1,145 @@
+import dotenv from "dotenv";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import LoginPage from "./pages/login-page.js";
+import DashboardPage from "./pages/dashboard-page.js";
+import PricingPage from "./pages/pricing-page.js";
+import { launchBrowser, waitForIdle } from "./pages/browser-utils.js";
+import { applyVerbosity, getCliOptions, loadCliConfig } from "./cli-options.js";
+import { createNotifier } from "./notifications.js";
+import { checkPageSelectors, describeFailure, saveDomSnapshot } from "./pages/selector-check.js";
+
+// Load environment variables
+dotenv.config();
+
+// Get directory path
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Report and DOM snapshots of failing pages
+const outputDir = path.join(__dirname, "selector-check");
+
+// Shared options (see cli-options.js); the check only uses the config for its alerts
+let cliOptions;
+try {
+  cliOptions = getCliOptions();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+applyVerbosity(cliOptions.verbosity);
+
+let notifier;
+try {
+  const { config } = await loadCliConfig(__dirname);
+  notifier = createNotifier(config.notifications);
+} catch (error) {
+  console.warn(`No selector alerts: ${error.message}`);
+  notifier = createNotifier();
+}
+
+// Check a specific pricing page instead of the first one in the table:
+// --url=<pricing page URL>, or --listing=<id> for that listing's pricing page
+const urlArg = process.argv.find((arg) => arg.startsWith("--url="));
+const listingArg = cliOptions.listings[0] || null;
+
+/**
+ * Check the selectors on one page, saving a DOM snapshot when any of them fails
+ * @param {Object} page - Puppeteer page object, showing the page
+ * @param {string} pageName - Page name, as in SELECTOR_CHECKS
+ * @param {Object} report - Report to add the results and snapshots to
+ */
+async function checkPage(page, pageName, report) {
+  const results = await checkPageSelectors(page, pageName);
+  report.results.push(...results);
+
+  if (results.some((result) => result.status === "fail" || result.status === "fallback")) {
+    const files = await saveDomSnapshot(page, outputDir, pageName);
+    report.snapshots.push(...files);
+  }
+}
+
+/**
+ * Log in, visit one pricing page and report which selectors still resolve
+ */
+async function checkSelectors() {
+  console.log("Checking PriceLabs selectors...");
+  const report = { checkedAt: new Date().toISOString(), results: [], snapshots: [], errors: [] };
+  const browser = await launchBrowser();
+
+  try {
+    const page = await browser.newPage();
+    page.setDefaultTimeout(30000);
+
+    const loginPage = new LoginPage(page, { signinUrl: process.env.PRICELABS_SIGNIN_URL || undefined });
+    await loginPage.open();
+    await checkPage(page, "signin", report);
+    await loginPage.submit(process.env.PRICELABS_EMAIL, process.env.PRICELABS_PASSWORD);
+
+    // Wait for the dashboard to settle instead of waiting for a table that may never match
+    await waitForIdle(page);
+    await checkPage(page, "dashboard", report);
+
+    let url = urlArg ? urlArg.slice("--url=".length) : null;
+    if (!url) {
+      const listings = await new DashboardPage(page).getListings();
+      const listing = listingArg ? listings.find((candidate) => candidate.id === listingArg) : listings[0];
+      url = listing ? listing.url : null;
+    }
+
+    if (url) {
+      console.log(`Checking pricing page ${url}`);
+      await new PricingPage(page).open(url);
+      await checkPage(page, "pricing", report);
+      await checkPage(page, "modal", report);
+    } else {
+      report.errors.push(listingArg
+        ? `No pricing page to check: listing ${listingArg} is not on the dashboard`
+        : "No pricing page to check: no property links found (pass --url=<pricing page URL>)");
+    }
+  } catch (error) {
+    report.errors.push(error.message);
+  } finally {
+    await browser.close();
+  }
+
+  // Print the report
+  console.table(report.results.map((result) => ({
+    page: result.page,
+    selector: result.name,
+    critical: result.critical ? "yes" : "",
+    status: result.status.toUpperCase(),
+    "matched by": result.status === "fallback" ? result.matchedBy : result.note || ""
+  })));
+
+  const failures = report.results.filter((result) => result.status === "fail" || result.status === "fallback");
+  for (const failure of failures) {
+    console.log(`${failure.critical ? "CRITICAL" : "Warning"}: ${describeFailure(failure)}`);
+  }
+  for (const error of report.errors) {
+    console.log(`Error: ${error}`);
+  }
+
+  await fs.mkdir(outputDir, { recursive: true });
+  await fs.writeFile(path.join(outputDir, "report.json"), JSON.stringify(report, null, 2), "utf8");
+  if (report.snapshots.length > 0) {
+    console.log(`DOM snapshots of failing pages: ${report.snapshots.join(", ")}`);
+  }
+  console.log(`Report saved to ${path.join(outputDir, "report.json")}`);
+
+  const passed = failures.length === 0 && report.errors.length === 0;
+  console.log(passed ? "All selectors resolved." : "Selector check FAILED.");
+  process.exitCode = passed ? 0 : 1;
+
+  // Only broken selectors are worth an alert; a page that couldn't be reached already shows up as an error
+  const broken = failures.filter((failure) => failure.critical);
+  if (broken.length > 0) {
+    await notifier.sendAlert(
+      "selectors-broken",
+      `${broken.length} critical selectors no longer resolve:\n${broken.map((failure) => `  ${describeFailure(failure)}`).join("\n")}`,
+      { failures: broken.map((failure) => ({ page: failure.page, name: failure.name, status: failure.status })) }
+    );
+  }
+}
+
+await checkSelectors();
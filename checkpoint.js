@@ -0,0 +1,95 @@
+import fs from "fs/promises";
+import { getListingId } from "./listing.js";
+
+/**
+ * Checkpoint of a bot run: which listings it has finished, so that a crashed
+ * run can be continued with --resume instead of starting over.
+ */
+
+/**
+ * Create the checkpoint of a new run
+ * @param {Date} startedAt - Start of the run
+ * @returns {Object} - Checkpoint with a fresh run ID and no completed listings
+ */
+export function createCheckpoint(startedAt) {
+  return {
+    runId: createRunId(startedAt),
+    startedAt: startedAt.toISOString(),
+    date: startedAt.toISOString().split("T")[0],
+    finishedAt: null,
+    completed: [],
+    changes: []
+  };
+}
+
+/**
+ * Create the ID of a run (regular runs keep theirs in the checkpoint; plan applications get one too)
+ * @param {Date} startedAt - Start of the run
+ * @returns {string} - e.g. "run-20250302T081500123Z"
+ */
+export function createRunId(startedAt) {
+  return `run-${startedAt.toISOString().replace(/[-:.]/g, "")}`;
+}
+
+/**
+ * Load the checkpoint of an unfinished run to resume it
+ * @param {string} checkpointFile - Path to the checkpoint file
+ * @returns {Promise<Object>} - The checkpoint
+ * @throws {Error} - If there is no checkpoint, it is malformed or its run already finished
+ */
+export async function loadCheckpoint(checkpointFile) {
+  let checkpoint;
+  try {
+    checkpoint = JSON.parse(await fs.readFile(checkpointFile, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read checkpoint file ${checkpointFile}: ${error.message}`);
+  }
+
+  if (!checkpoint || typeof checkpoint.runId !== "string" || !Array.isArray(checkpoint.completed)) {
+    throw new Error(`Checkpoint file ${checkpointFile} has no "runId" or "completed" list`);
+  }
+
+  if (checkpoint.finishedAt) {
+    throw new Error(`Run ${checkpoint.runId} in ${checkpointFile} already finished at ${checkpoint.finishedAt}; start a new run without --resume`);
+  }
+
+  checkpoint.changes = checkpoint.changes || [];
+  // Completed listings are kept by ID, so a URL that changed since still matches
+  checkpoint.completed = checkpoint.completed.map(getListingId);
+  return checkpoint;
+}
+
+/**
+ * Read a checkpoint without validating it, to warn before overwriting an unfinished run
+ * @param {string} checkpointFile - Path to the checkpoint file
+ * @returns {Promise<Object|null>} - The checkpoint, or null if there is none
+ */
+export async function readCheckpoint(checkpointFile) {
+  try {
+    return JSON.parse(await fs.readFile(checkpointFile, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write a checkpoint to disk
+ * @param {string} checkpointFile - Path to the checkpoint file
+ * @param {Object} checkpoint - Checkpoint to write
+ */
+export async function saveCheckpoint(checkpointFile, checkpoint) {
+  await fs.writeFile(checkpointFile, JSON.stringify(checkpoint, null, 2), "utf8");
+}
+
+/**
+ * Record a finished listing in the checkpoint
+ * @param {Object} checkpoint - Checkpoint of the run
+ * @param {Object} change - Change recorded for the listing in the change log ({ url, listingId, ... })
+ */
+export function markCompleted(checkpoint, change) {
+  const listingId = change.listingId || getListingId(change.url);
+  if (!checkpoint.completed.includes(listingId)) {
+    checkpoint.completed.push(listingId);
+  }
+  checkpoint.changes = [...checkpoint.changes.filter((entry) => getListingId(entry.url) !== listingId), change];
+}
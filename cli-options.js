@@ -0,0 +1,92 @@
+import path from "path";
+import { loadConfig } from "./config-loader.js";
+
+/**
+ * Options every command of the pricelabs-bot CLI understands (see cli.js):
+ *
+ *   --config=<file>    config file to use instead of config.json next to the scripts
+ *   --log-file=<file>  run ledger to read and write instead of config.ledgerFile
+ *   --listing=<id>     only work on this listing (may be repeated or comma-separated)
+ *   --verbose          also print debug messages
+ *   --quiet            only print warnings and errors
+ */
+
+/**
+ * Get the value of a "--name=value" option
+ * @param {Array<string>} argv - Command line arguments
+ * @param {string} name - Option name, e.g. "config"
+ * @returns {string|null} - Value of the last occurrence, or null if it isn't given
+ */
+export function getOptionValue(argv, name) {
+  const prefix = `--${name}=`;
+  const arg = argv.filter((value) => value.startsWith(prefix)).pop();
+  return arg === undefined ? null : arg.slice(prefix.length);
+}
+
+/**
+ * Parse the shared command line options
+ * @param {Array<string>} [argv] - Command line arguments (defaults to the process's)
+ * @returns {{configFile: string|null, logFile: string|null, listings: Array<string>, verbosity: string}} - Options;
+ *   verbosity is "quiet", "normal" or "verbose"
+ * @throws {Error} - If an option has no value, or --verbose and --quiet are both given
+ */
+export function getCliOptions(argv = process.argv.slice(2)) {
+  const configFile = getOptionValue(argv, "config");
+  const logFile = getOptionValue(argv, "log-file");
+  for (const [name, value] of [["config", configFile], ["log-file", logFile]]) {
+    if (value === "") {
+      throw new Error(`--${name} needs a file name, e.g. --${name}=<file>`);
+    }
+  }
+
+  const listings = argv
+    .filter((arg) => arg.startsWith("--listing="))
+    .flatMap((arg) => arg.slice("--listing=".length).split(",").filter(Boolean));
+
+  const verbose = argv.includes("--verbose");
+  const quiet = argv.includes("--quiet");
+  if (verbose && quiet) {
+    throw new Error("--verbose and --quiet can't be combined");
+  }
+
+  return { configFile, logFile, listings, verbosity: quiet ? "quiet" : verbose ? "verbose" : "normal" };
+}
+
+/**
+ * Route console output by verbosity: debug messages only show with --verbose,
+ * and --quiet leaves nothing but warnings and errors
+ * @param {string} verbosity - "quiet", "normal" or "verbose"
+ */
+export function applyVerbosity(verbosity) {
+  const silent = () => {};
+  if (verbosity !== "verbose") {
+    console.debug = silent;
+  }
+  if (verbosity === "quiet") {
+    console.log = silent;
+    console.info = silent;
+    console.table = silent;
+  }
+}
+
+/**
+ * Parse the shared options, apply the verbosity and load the config they select
+ * @param {string} scriptDir - Directory holding the default config.json
+ * @param {Array<string>} [argv] - Command line arguments (defaults to the process's)
+ * @returns {Promise<{config: Object, options: Object}>} - Validated config, with --log-file
+ *   applied as its ledgerFile, and the parsed options (see getCliOptions)
+ * @throws {Error} - On invalid options or an invalid config
+ */
+export async function loadCliConfig(scriptDir, argv = process.argv.slice(2)) {
+  const options = getCliOptions(argv);
+  applyVerbosity(options.verbosity);
+
+  const configFile = options.configFile ? path.resolve(options.configFile) : path.join(scriptDir, "config.json");
+  const config = await loadConfig(configFile);
+  console.debug(`Using config ${configFile}`);
+
+  if (options.logFile) {
+    config.ledgerFile = options.logFile;
+  }
+  return { config, options };
+}
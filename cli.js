@@ -0,0 +1,119 @@
+#!/usr/bin/env bun
+import { spawn } from "child_process";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadCliConfig } from "./cli-options.js";
+import PricingStrategyCore from "./strategy-core.js";
+import { loadStrategyModules } from "./strategies/load-modules.js";
+import { buildListingFilter } from "./listing-filter.js";
+
+/**
+ * The pricelabs-bot command line:
+ *
+ *   pricelabs-bot <command> [options]
+ *
+ * Each command runs one of the bot's scripts with the remaining arguments, and
+ * exits with its exit code. Every command takes the shared options of
+ * cli-options.js (--config, --log-file, --listing, --verbose/--quiet).
+ */
+
+// Get directory path
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Commands: the script each one runs, the arguments it adds, and its usage line
+const COMMANDS = {
+  run: { script: "index.js", args: [], usage: "run [--force] [--include=<filter>] [--exclude=<filter>]", description: "adjust the prices of all listings" },
+  "dry-run": { script: "index.js", args: ["--dry-run"], usage: "dry-run", description: "propose price changes without saving them" },
+  plan: { script: "index.js", args: ["--plan"], usage: "plan", description: "write the proposed changes to a plan for review" },
+  "apply-plan": { script: "index.js", args: ["--apply-plan"], usage: "apply-plan [--force]", description: "push the approved entries of the plan" },
+  resume: { script: "index.js", args: ["--resume"], usage: "resume", description: "continue an interrupted run" },
+  daemon: { script: "daemon.js", args: [], usage: "daemon [--print-schedule]", description: "run on the schedule in the config until stopped" },
+  simulate: { script: "simulate.js", args: [], usage: "simulate [--days=<n>] [--seed=<seed>] [--start-date=YYYY-MM-DD] [--profiles=<file>] [--strategy=<name>]", description: "simulate the strategy offline" },
+  report: { script: "run-report.js", args: [], usage: "report [--run=<run ID>]", description: "summarize the last (or a given) run" },
+  history: { script: "history-report.js", args: [], usage: "history <listing ID> [--since=YYYY-MM-DD] [--csv] | --import", description: "show a listing's history" },
+  "calendar-history": { script: "calendar-history.js", args: [], usage: "calendar-history <listing ID> [--csv]", description: "show how a listing's calendar evolved" },
+  "check-selectors": { script: "check-selectors.js", args: [], usage: "check-selectors [--url=<pricing page URL>]", description: "check the PriceLabs selectors still resolve" },
+  "notify-test": { script: "notify-test.js", args: [], usage: "notify-test", description: "send a test alert and a sample run summary to the configured channels" },
+  "migrate-log": { script: "migrate-log.js", args: [], usage: "migrate-log [legacy log files...]", description: "import legacy change logs into the ledger" }
+};
+
+/**
+ * Print the commands and shared options
+ */
+function printUsage() {
+  console.log("Usage: pricelabs-bot <command> [options]\n\nCommands:");
+  for (const { usage, description } of Object.values(COMMANDS)) {
+    console.log(`  ${usage}\n      ${description}`);
+  }
+  console.log("  config validate\n      check the config without running anything");
+  console.log(`
+Options (all commands):
+  --config=<file>    config file to use (default: config.json)
+  --log-file=<file>  run ledger to read and write (default: config.ledgerFile)
+  --listing=<id>     only work on this listing (may be repeated)
+  --verbose          also print debug messages
+  --quiet            only print warnings and errors
+
+Exit codes: 0 success, 1 error (invalid config or options, the run stopped early),
+2 the run finished but some listings failed, 3 another run was still going`);
+}
+
+/**
+ * Run a script in a child process with the same runtime, passing on signals
+ * to it and its exit code back
+ * @param {string} script - Script file name
+ * @param {Array<string>} args - Arguments for the script
+ * @returns {Promise<number>} - Exit code of the script (1 if it was killed by a signal)
+ */
+function runScript(script, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(__dirname, script), ...args], { stdio: "inherit" });
+    child.on("error", reject);
+    child.on("exit", (code) => resolve(code === null ? 1 : code));
+    for (const signal of ["SIGINT", "SIGTERM"]) {
+      process.on(signal, () => child.kill(signal));
+    }
+  });
+}
+
+/**
+ * Validate the config the way a run would before it starts: the settings,
+ * the custom strategy modules and plugins, the policies and the listing filter
+ * @param {Array<string>} args - Arguments (shared options)
+ * @returns {Promise<number>} - Exit code: 0 if the config is valid, 1 if not
+ */
+async function validateConfig(args) {
+  try {
+    const { config, options } = await loadCliConfig(__dirname, args);
+    await loadStrategyModules(config.strategyModules, __dirname);
+    const strategy = new PricingStrategyCore().configure(config);
+    buildListingFilter(config.listingFilter);
+
+    console.log(`${options.configFile || "config.json"} is valid`);
+    console.log(`  Strategy plugin: ${strategy.getStrategyVersion(null)}`);
+    console.log(`  Groups: ${Object.keys(config.groups || {}).length}, properties with overrides: ${Object.keys(config.properties || {}).length}`);
+    return 0;
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+}
+
+const [command, ...args] = process.argv.slice(2);
+
+if (!command || command === "help" || command === "--help") {
+  printUsage();
+} else if (command === "config") {
+  if (args[0] !== "validate") {
+    console.error("Usage: pricelabs-bot config validate [--config=<file>]");
+    process.exitCode = 1;
+  } else {
+    process.exitCode = await validateConfig(args.slice(1));
+  }
+} else if (COMMANDS[command]) {
+  const { script, args: commandArgs } = COMMANDS[command];
+  process.exitCode = await runScript(script, [...commandArgs, ...args]);
+} else {
+  console.error(`Unknown command "${command}" (run pricelabs-bot help for the list)`);
+  process.exitCode = 1;
+}
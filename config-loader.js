@@ -0,0 +1,617 @@
+import fs from "fs/promises";
+import path from "path";
+import { OVERRIDABLE_KEYS, resolvePropertyConfig } from "./property-config.js";
+import { resolvePolicy } from "./policy.js";
+import { parseListingFilter } from "./listing-filter.js";
+import { getNextRunTime, getScheduledRunName, parseCron } from "./schedule.js";
+
+/**
+ * Loading and validation of config.json.
+ *
+ * The file is checked against CONFIG_SCHEMA (a small subset of JSON Schema:
+ * type, enum, minLength, minimum, maximum, required, properties,
+ * additionalProperties, items) and then against the rules that span several settings, such as the
+ * ordering of the occupancy thresholds. Every problem is reported with its
+ * path, e.g. "adjustments.increase.percentage must be at most 50, got 80".
+ */
+
+const percentage = { type: "number", minimum: 0, maximum: 50 };
+const occupancy = { type: "number", minimum: 0, maximum: 1 };
+const days = { type: "integer", minimum: 1, maximum: 365 };
+const price = { type: ["number", "null"], minimum: 0 };
+const fileName = { type: "string", minLength: 1 };
+const listingFilters = { type: "array", items: { type: "string", minLength: 1 } };
+
+// Settings shared by the global config and the group/property overrides
+const SETTINGS = {
+  strategy: { type: "string", enum: ["increase", "decrease", "hold"] },
+  strategyPlugin: { type: "string", minLength: 1 },
+  adjustments: {
+    type: "object",
+    required: ["increase", "decrease", "hold"],
+    additionalProperties: false,
+    properties: {
+      increase: {
+        type: "object",
+        required: ["percentage"],
+        additionalProperties: false,
+        properties: { percentage, duration: days }
+      },
+      decrease: {
+        type: "object",
+        required: ["percentage"],
+        additionalProperties: false,
+        properties: { percentage, duration: days }
+      },
+      hold: {
+        type: "object",
+        required: ["oscillationPercentage"],
+        additionalProperties: false,
+        properties: { oscillationPercentage: percentage }
+      }
+    }
+  },
+  occupancyWeights: {
+    type: "object",
+    required: ["sevenDay", "thirtyDay", "sixtyDay"],
+    additionalProperties: false,
+    properties: { sevenDay: occupancy, thirtyDay: occupancy, sixtyDay: occupancy }
+  },
+  occupancyThresholds: {
+    type: "object",
+    required: ["high", "medium", "low", "critical"],
+    additionalProperties: false,
+    properties: { high: occupancy, medium: occupancy, low: occupancy, critical: occupancy }
+  },
+  priceLimits: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      min: {
+        type: "object",
+        additionalProperties: false,
+        properties: { floor: price, ceiling: price }
+      },
+      base: {
+        type: "object",
+        additionalProperties: false,
+        properties: { floor: price, ceiling: price }
+      },
+      maxDrift: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          percentage: { type: ["number", "null"], minimum: 0, maximum: 100 },
+          days
+        }
+      }
+    }
+  },
+  // Keys, types and ranges are checked by resolvePolicy()
+  guardrails: { type: "object" },
+  multipliers: { type: "object" },
+  metrics: { type: "object" }
+};
+
+export const CONFIG_SCHEMA = {
+  type: "object",
+  required: ["strategy", "adjustments", "occupancyWeights", "occupancyThresholds"],
+  additionalProperties: false,
+  properties: {
+    ...SETTINGS,
+    strategyModules: { type: "array", items: fileName },
+    ledgerFile: fileName,
+    historyDatabase: fileName,
+    logFile: fileName,
+    dryRunReportFile: fileName,
+    planFile: fileName,
+    checkpointFile: fileName,
+    listingRegistryFile: fileName,
+    lockFile: fileName,
+    concurrency: { type: "integer", minimum: 1, maximum: 10 },
+    politenessDelayMs: { type: "integer", minimum: 0, maximum: 60000 },
+    calendar: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        enabled: { type: "boolean" },
+        nights: { type: "integer", minimum: 1, maximum: 365 },
+        snapshotDir: fileName
+      }
+    },
+    listingFilter: {
+      type: "object",
+      additionalProperties: false,
+      properties: { include: listingFilters, exclude: listingFilters, paused: listingFilters }
+    },
+    schedule: {
+      type: "object",
+      required: ["runs"],
+      additionalProperties: false,
+      properties: {
+        runs: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["cron"],
+            additionalProperties: false,
+            properties: {
+              name: { type: "string", minLength: 1 },
+              cron: { type: "string", minLength: 1 },
+              mode: { type: "string", enum: ["run", "dry-run", "plan"] },
+              include: listingFilters,
+              exclude: listingFilters
+            }
+          }
+        },
+        jitterMinutes: { type: "integer", minimum: 0, maximum: 120 },
+        catchUp: { type: "string", enum: ["skip", "once"] },
+        catchUpWithinHours: { type: "integer", minimum: 1, maximum: 168 },
+        healthFile: fileName
+      }
+    },
+    notifications: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        summary: { type: "string", enum: ["always", "failures", "never"] },
+        webhook: {
+          type: "object",
+          additionalProperties: false,
+          properties: { url: { type: "string", minLength: 1 } }
+        },
+        email: {
+          type: "object",
+          required: ["host", "from", "to"],
+          additionalProperties: false,
+          properties: {
+            host: { type: "string", minLength: 1 },
+            port: { type: "integer", minimum: 1, maximum: 65535 },
+            secure: { type: "boolean" },
+            user: { type: "string", minLength: 1 },
+            from: { type: "string", minLength: 1 },
+            to: { type: "array", items: { type: "string", minLength: 1 } }
+          }
+        },
+        decreaseStreak: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            runs: { type: "integer", minimum: 2, maximum: 30 },
+            percentage: { type: "number", minimum: 0, maximum: 100 }
+          }
+        }
+      }
+    },
+    groups: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          ...pickSettings(OVERRIDABLE_KEYS),
+          listings: { type: "array", items: { type: ["string", "integer"] } }
+        }
+      }
+    },
+    properties: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          ...pickSettings(OVERRIDABLE_KEYS),
+          tags: { type: "array", items: { type: "string" } },
+          name: { type: "string" }
+        }
+      }
+    }
+  }
+};
+
+// Allowed rounding error when checking that the occupancy weights sum to 1
+const WEIGHT_SUM_TOLERANCE = 0.001;
+
+/**
+ * Read, parse and validate a config file
+ * @param {string} configPath - Path to config.json
+ * @returns {Promise<Object>} - The validated configuration
+ * @throws {Error} - If the file can't be read or parsed, or any setting is invalid
+ */
+export async function loadConfig(configPath) {
+  const fileLabel = path.basename(configPath);
+
+  let raw;
+  try {
+    raw = await fs.readFile(configPath, "utf8");
+  } catch (error) {
+    throw new Error(`Cannot read ${configPath}: ${error.message}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`${fileLabel} is not valid JSON: ${error.message}`);
+  }
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(
+      `${fileLabel} has ${errors.length} invalid setting${errors.length === 1 ? "" : "s"}:\n` +
+      errors.map(error => `  - ${error}`).join("\n")
+    );
+  }
+
+  return config;
+}
+
+/**
+ * Validate a configuration object
+ * @param {Object} config - Parsed configuration
+ * @returns {Array<string>} - Problems found, each starting with the setting's path
+ */
+export function validateConfig(config) {
+  const errors = validateValue(config, CONFIG_SCHEMA, "");
+  if (errors.length > 0) {
+    // The rules below assume a well-formed config
+    return errors;
+  }
+
+  errors.push(...checkEffectiveConfig(config, ""));
+  errors.push(...checkTags(config));
+  errors.push(...checkListingFilter(config));
+  errors.push(...checkSchedule(config));
+  errors.push(...checkNotifications(config));
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  // Overrides can break rules that hold globally (e.g. a group raising "low" above "medium")
+  const overriddenListings = new Set([
+    ...Object.keys(config.properties || {}),
+    ...Object.values(config.groups || {}).flatMap(group => (group.listings || []).map(String))
+  ]);
+  for (const listingId of overriddenListings) {
+    const { config: effective } = resolvePropertyConfig(config, listingId);
+    errors.push(...checkEffectiveConfig(effective, `listing ${listingId}: `));
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a value against a schema node
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema node
+ * @param {string} at - Path of the value ("" for the root)
+ * @returns {Array<string>} - Problems found
+ */
+function validateValue(value, schema, at) {
+  const label = at || "config";
+  const types = [].concat(schema.type);
+
+  if (!types.some(type => hasType(value, type))) {
+    return [`${label} must be ${types.map(describeType).join(" or ")}, got ${JSON.stringify(value)}`];
+  }
+  if (value === null) {
+    return [];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${label} must be one of ${schema.enum.map(option => `"${option}"`).join(", ")}, got ${JSON.stringify(value)}`];
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    return [`${label} must not be empty`];
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    return [`${label} must be at least ${schema.minimum}, got ${value}`];
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    return [`${label} must be at most ${schema.maximum}, got ${value}`];
+  }
+
+  const errors = [];
+
+  if (schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateValue(item, schema.items, `${label}[${index}]`));
+    });
+  }
+
+  if (types.includes("object")) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${join(at, key)} is required`);
+      }
+    }
+
+    const known = schema.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      const itemPath = join(at, key);
+      if (known[key]) {
+        errors.push(...validateValue(item, known[key], itemPath));
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(...validateValue(item, schema.additionalProperties, itemPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push(unknownKeyError(itemPath, key, Object.keys(known)));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check the rules that span several settings of a (global or per-listing) config
+ * @param {Object} config - Global or effective per-listing configuration
+ * @param {string} prefix - Prefix for the messages, e.g. "listing 123: "
+ * @returns {Array<string>} - Problems found
+ */
+function checkEffectiveConfig(config, prefix) {
+  const errors = [];
+
+  const weights = config.occupancyWeights;
+  const weightSum = weights.sevenDay + weights.thirtyDay + weights.sixtyDay;
+  if (Math.abs(weightSum - 1) > WEIGHT_SUM_TOLERANCE) {
+    errors.push(`${prefix}occupancyWeights must add up to 1, got ${Number(weightSum.toFixed(4))}`);
+  }
+
+  const thresholds = config.occupancyThresholds;
+  const order = ["critical", "low", "medium", "high"];
+  for (let i = 1; i < order.length; i++) {
+    const lower = order[i - 1];
+    const higher = order[i];
+    if (!(thresholds[lower] < thresholds[higher])) {
+      errors.push(
+        `${prefix}occupancyThresholds.${lower} (${thresholds[lower]}) must be below ` +
+        `occupancyThresholds.${higher} (${thresholds[higher]})`
+      );
+    }
+  }
+
+  for (const priceType of ["min", "base"]) {
+    const limits = (config.priceLimits && config.priceLimits[priceType]) || {};
+    if (typeof limits.floor === "number" && typeof limits.ceiling === "number" && limits.floor > limits.ceiling) {
+      errors.push(
+        `${prefix}priceLimits.${priceType}.floor (${limits.floor}) must not be above ` +
+        `priceLimits.${priceType}.ceiling (${limits.ceiling})`
+      );
+    }
+  }
+
+  try {
+    resolvePolicy(config);
+  } catch (error) {
+    errors.push(`${prefix}${error.message}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check that property tags name existing groups
+ * @param {Object} config - Global configuration
+ * @returns {Array<string>} - Problems found
+ */
+function checkTags(config) {
+  const groups = config.groups || {};
+  const errors = [];
+  for (const [listingId, property] of Object.entries(config.properties || {})) {
+    (property.tags || []).forEach((tag, index) => {
+      if (!groups[tag]) {
+        errors.push(unknownKeyError(`properties.${listingId}.tags[${index}]`, tag, Object.keys(groups), "group"));
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * Check the configured listing filters
+ * @param {Object} config - Global configuration
+ * @returns {Array<string>} - Problems found
+ */
+function checkListingFilter(config) {
+  return Object.entries(config.listingFilter || {})
+    .flatMap(([list, filters]) => checkFilters(config, filters, `listingFilter.${list}`));
+}
+
+/**
+ * Check that listing filters parse and that their tags name existing groups
+ * @param {Object} config - Global configuration
+ * @param {Array<string>} filters - Filters
+ * @param {string} at - Path of the filter list
+ * @returns {Array<string>} - Problems found
+ */
+function checkFilters(config, filters, at) {
+  const groups = config.groups || {};
+  const errors = [];
+  filters.forEach((text, index) => {
+    let filter;
+    try {
+      filter = parseListingFilter(text);
+    } catch (error) {
+      errors.push(`${at}[${index}]: ${error.message}`);
+      return;
+    }
+    if (filter.type === "tag" && !groups[filter.value]) {
+      errors.push(unknownKeyError(`${at}[${index}]`, filter.value, Object.keys(groups), "group"));
+    }
+  });
+  return errors;
+}
+
+/**
+ * Check the daemon schedule: cron expressions that parse and ever run, listing filters and unique names
+ * @param {Object} config - Global configuration
+ * @returns {Array<string>} - Problems found
+ */
+function checkSchedule(config) {
+  const errors = [];
+  const names = new Set();
+  ((config.schedule && config.schedule.runs) || []).forEach((run, index) => {
+    const at = `schedule.runs[${index}]`;
+    try {
+      getNextRunTime(parseCron(run.cron), new Date());
+    } catch (error) {
+      errors.push(`${at}.cron: ${error.message}`);
+    }
+    errors.push(...checkFilters(config, run.include || [], `${at}.include`));
+    errors.push(...checkFilters(config, run.exclude || [], `${at}.exclude`));
+
+    const name = getScheduledRunName(run, index);
+    if (names.has(name)) {
+      errors.push(`${at}.name "${name}" is used by another scheduled run`);
+    }
+    names.add(name);
+  });
+  return errors;
+}
+
+/**
+ * Check the notification channels: a webhook URL that parses, and email recipients
+ * @param {Object} config - Global configuration
+ * @returns {Array<string>} - Problems found
+ */
+function checkNotifications(config) {
+  const { webhook, email } = config.notifications || {};
+  const errors = [];
+  if (webhook && webhook.url) {
+    let protocol = null;
+    try {
+      protocol = new URL(webhook.url).protocol;
+    } catch {
+      // Reported below
+    }
+    if (protocol !== "http:" && protocol !== "https:") {
+      errors.push(`notifications.webhook.url must be an http or https URL, got ${JSON.stringify(webhook.url)}`);
+    }
+  }
+  if (email && email.to.length === 0) {
+    errors.push("notifications.email.to must list at least one address");
+  }
+  return errors;
+}
+
+/**
+ * Build the message for an unknown key, suggesting the closest known one
+ * @param {string} at - Path of the unknown key
+ * @param {string} key - The unknown key
+ * @param {Array<string>} known - Allowed keys
+ * @param {string} kind - What the key is, for the message
+ * @returns {string} - Error message
+ */
+function unknownKeyError(at, key, known, kind = "setting") {
+  const suggestion = closestMatch(key, known);
+  if (suggestion) {
+    return `${at} is not a known ${kind} (did you mean "${suggestion}"?)`;
+  }
+  return `${at} is not a known ${kind}${known.length ? ` (expected one of: ${known.join(", ")})` : ""}`;
+}
+
+/**
+ * Find the known key closest to a misspelled one
+ * @param {string} key - Misspelled key
+ * @param {Array<string>} known - Allowed keys
+ * @returns {string|null} - Closest key, or null if none is close enough
+ */
+function closestMatch(key, known) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of known) {
+    const distance = editDistance(key.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+}
+
+/**
+ * Levenshtein distance between two strings (a swap of two letters counts as two edits)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of single-character edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Pick the schema nodes of the given settings, with nothing required
+ * (overrides only need to name the values they change)
+ * @param {Array<string>} keys - Setting names
+ * @returns {Object} - Schema properties for those settings
+ */
+function pickSettings(keys) {
+  return Object.fromEntries(keys.map(key => [key, withoutRequired(SETTINGS[key])]));
+}
+
+/**
+ * Copy a schema node, dropping "required" at every level
+ * @param {Object} schema - Schema node
+ * @returns {Object} - Copy without required keys
+ */
+function withoutRequired(schema) {
+  const copy = { ...schema };
+  delete copy.required;
+  if (copy.properties) {
+    copy.properties = Object.fromEntries(
+      Object.entries(copy.properties).map(([key, node]) => [key, withoutRequired(node)])
+    );
+  }
+  return copy;
+}
+
+/**
+ * Check a value against a schema type
+ * @param {*} value - Value to check
+ * @param {string} type - Schema type name
+ * @returns {boolean} - Whether the value has that type
+ */
+function hasType(value, type) {
+  switch (type) {
+  case "null": return value === null;
+  case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+  case "array": return Array.isArray(value);
+  case "integer": return Number.isInteger(value);
+  case "number": return typeof value === "number" && Number.isFinite(value);
+  default: return typeof value === type;
+  }
+}
+
+/**
+ * Describe a schema type for error messages
+ * @param {string} type - Schema type name
+ * @returns {string} - Description, e.g. "a number"
+ */
+function describeType(type) {
+  switch (type) {
+  case "null": return "null";
+  case "integer": return "a whole number";
+  case "array": return "a list";
+  case "object": return "an object";
+  default: return `a ${type}`;
+  }
+}
+
+/**
+ * Join a parent path and a key
+ * @param {string} at - Parent path ("" for the root)
+ * @param {string} key - Child key
+ * @returns {string} - Dotted path
+ */
+function join(at, key) {
+  return at ? `${at}.${key}` : key;
+}
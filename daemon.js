@@ -0,0 +1,298 @@
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadCliConfig } from "./cli-options.js";
+import { getMissedRunTime, getNextRunTime, getScheduledRunName, parseCron } from "./schedule.js";
+import { releaseLock, tryAcquireLock } from "./lock.js";
+import { writeFileAtomic } from "./ledger.js";
+
+/**
+ * Daemon mode: runs the bot on the schedule in config.schedule until stopped:
+ *
+ *   bun run daemon [--print-schedule]
+ *
+ * Each scheduled run starts index.js in a child process, one run at a time, with
+ * the run's mode and listing filters. Runs start up to schedule.jitterMinutes late,
+ * at random. A run whose time passed while the daemon was stopped or the machine
+ * was asleep is made up for once (catchUp "once", the default) if it is at most
+ * schedule.catchUpWithinHours old, or left out (catchUp "skip"). The health file
+ * records the outcome of every scheduled run for external monitoring.
+ * --print-schedule prints the next run times and exits.
+ */
+
+// Get directory path
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Longest sleep between two health file heartbeats
+const HEARTBEAT_MS = 60 * 1000;
+
+// A sleep overrunning by more than this means the machine was suspended
+const SUSPEND_THRESHOLD_MS = 2 * 60 * 1000;
+
+// Outcome of a scheduled run, by the bot's exit code (see index.js)
+const RUN_STATUSES = { 0: "success", 2: "listings-failed", 3: "skipped" };
+
+let config;
+let cliOptions;
+try {
+  ({ config, options: cliOptions } = await loadCliConfig(__dirname));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+if (!config.schedule || config.schedule.runs.length === 0) {
+  console.error("No scheduled runs: add a \"schedule\" with \"runs\" to the config");
+  process.exit(1);
+}
+
+const settings = { jitterMinutes: 0, catchUp: "once", catchUpWithinHours: 12, healthFile: "pricelabs_health.json", ...config.schedule };
+const lockFile = config.lockFile || "pricelabs_bot.lock";
+const daemonLockFile = `${lockFile}.daemon`;
+
+// Scheduled runs, with the arguments they pass to index.js
+const scheduledRuns = config.schedule.runs.map((run, index) => ({
+  name: getScheduledRunName(run, index),
+  cron: parseCron(run.cron),
+  args: [
+    ...(run.mode && run.mode !== "run" ? [`--${run.mode}`] : []),
+    ...(run.include || []).map((filter) => `--include=${filter}`),
+    ...(run.exclude || []).map((filter) => `--exclude=${filter}`)
+  ]
+}));
+
+// Shared options (see cli-options.js) are passed on to every run
+const sharedArgs = [
+  ...(cliOptions.configFile ? [`--config=${path.resolve(cliOptions.configFile)}`] : []),
+  ...(cliOptions.logFile ? [`--log-file=${cliOptions.logFile}`] : []),
+  ...(cliOptions.listings.length > 0 ? [`--listing=${cliOptions.listings.join(",")}`] : []),
+  ...(cliOptions.verbosity !== "normal" ? [`--${cliOptions.verbosity}`] : [])
+];
+
+if (process.argv.includes("--print-schedule")) {
+  const now = new Date();
+  for (const run of scheduledRuns) {
+    let runTime = now;
+    const times = [];
+    for (let i = 0; i < 3; i++) {
+      runTime = getNextRunTime(run.cron, runTime);
+      times.push(runTime.toLocaleString());
+    }
+    console.log(`${run.name} (${run.cron.expression}${run.args.length ? `, ${run.args.join(" ")}` : ""}): ${times.join(", ")}`);
+  }
+  process.exit(0);
+}
+
+// The bot process of the run in progress, the way to cut the current sleep short, and whether a stop was asked for
+let currentChild = null;
+let wakeUp = () => {};
+let stopping = false;
+
+/**
+ * Read the health file a previous daemon left behind
+ * @param {string} healthFile - Path to the health file
+ * @returns {Promise<Object>} - Its content, or an empty health record
+ */
+async function readHealth(healthFile) {
+  try {
+    const health = JSON.parse(await fs.readFile(healthFile, "utf8"));
+    return { ...health, runs: health.runs || {} };
+  } catch {
+    return { runs: {} };
+  }
+}
+
+/**
+ * Pick a run time for the next scheduled time of a run, with jitter
+ * @param {Object} run - Scheduled run
+ * @param {Date} after - Plan the first scheduled time after this moment
+ * @returns {{scheduledFor: Date, runAt: Date}} - Scheduled time, and when to start the run
+ */
+function planRun(run, after) {
+  const scheduledFor = getNextRunTime(run.cron, after);
+  const jitterMs = Math.floor(Math.random() * settings.jitterMinutes * 60 * 1000);
+  return { scheduledFor, runAt: new Date(scheduledFor.getTime() + jitterMs) };
+}
+
+/**
+ * Run the bot for a scheduled run in a child process
+ * @param {Object} run - Scheduled run
+ * @returns {Promise<number>} - Exit code of the bot (1 if it was killed by a signal)
+ */
+function startBot(run) {
+  return new Promise((resolve, reject) => {
+    currentChild = spawn(process.execPath, [path.join(__dirname, "index.js"), ...run.args, ...sharedArgs], { stdio: "inherit" });
+    currentChild.on("error", reject);
+    currentChild.on("exit", (code) => {
+      currentChild = null;
+      resolve(code === null ? 1 : code);
+    });
+  });
+}
+
+/**
+ * Write the health file
+ */
+async function saveHealth() {
+  health.daemon.heartbeatAt = new Date().toISOString();
+  for (const run of scheduledRuns) {
+    health.runs[run.name].nextRunAt = plans.get(run.name).runAt.toISOString();
+  }
+  await writeFileAtomic(settings.healthFile, JSON.stringify(health, null, 2));
+}
+
+/**
+ * Run a scheduled run now and record its outcome in the health file
+ * @param {Object} run - Scheduled run
+ * @param {Date} scheduledFor - Time the run was scheduled for
+ */
+async function executeRun(run, scheduledFor) {
+  const state = health.runs[run.name];
+  state.lastScheduledFor = scheduledFor.toISOString();
+  state.lastStartedAt = new Date().toISOString();
+  await saveHealth();
+
+  console.log(`Starting scheduled run ${run.name} (scheduled for ${scheduledFor.toLocaleString()})`);
+  let exitCode;
+  try {
+    exitCode = await startBot(run);
+  } catch (error) {
+    console.error(`Could not start scheduled run ${run.name}:`, error.message);
+    exitCode = 1;
+  }
+
+  const finishedAt = new Date().toISOString();
+  const status = RUN_STATUSES[exitCode] || "failed";
+  Object.assign(state, { lastFinishedAt: finishedAt, lastExitCode: exitCode, lastStatus: status });
+  if (status === "success") {
+    state.lastSuccessAt = finishedAt;
+    health.lastSuccessAt = finishedAt;
+    health.status = "ok";
+  } else if (status !== "skipped") {
+    state.lastFailureAt = finishedAt;
+    health.lastFailureAt = finishedAt;
+    health.lastFailure = `${run.name}: ${status === "listings-failed" ? "some listings failed" : `exit code ${exitCode}`}`;
+    health.status = "failing";
+  }
+  console.log(`Scheduled run ${run.name} finished: ${status} (exit code ${exitCode})`);
+}
+
+/**
+ * Handle a scheduled time that passed without a run, following the catch-up policy
+ * @param {Object} run - Scheduled run
+ * @param {Date} scheduledFor - Missed scheduled time
+ * @returns {boolean} - Whether the run should be made up for now
+ */
+function handleMissedRun(run, scheduledFor) {
+  const ageHours = (Date.now() - scheduledFor.getTime()) / (60 * 60 * 1000);
+  if (settings.catchUp === "once" && ageHours <= settings.catchUpWithinHours) {
+    console.log(`Making up for scheduled run ${run.name} missed at ${scheduledFor.toLocaleString()}`);
+    return true;
+  }
+
+  console.log(`Skipping scheduled run ${run.name} missed at ${scheduledFor.toLocaleString()}`);
+  Object.assign(health.runs[run.name], { lastScheduledFor: scheduledFor.toISOString(), lastSkippedAt: new Date().toISOString() });
+  return false;
+}
+
+/**
+ * Sleep for a while, or until the daemon is stopped
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    wakeUp = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+}
+
+// A second daemon would run everything twice
+const daemonHolder = await tryAcquireLock(daemonLockFile, { mode: "daemon" });
+if (daemonHolder) {
+  console.error(`Another daemon (process ${daemonHolder.pid}, started ${daemonHolder.startedAt}) holds ${daemonLockFile}`);
+  process.exit(1);
+}
+
+/**
+ * Stop after the current run, passing the signal on to it
+ * @param {string} signal - Signal received
+ */
+function stop(signal) {
+  if (stopping) return;
+  console.log(`Received ${signal}, stopping the daemon`);
+  stopping = true;
+  if (currentChild) {
+    currentChild.kill(signal);
+  }
+  wakeUp();
+}
+process.on("SIGINT", () => stop("SIGINT"));
+process.on("SIGTERM", () => stop("SIGTERM"));
+
+const health = await readHealth(settings.healthFile);
+health.daemon = { pid: process.pid, startedAt: new Date().toISOString(), heartbeatAt: null, stoppedAt: null };
+health.status = health.status || "unknown";
+
+// Plan every run; runs missed while the daemon was stopped come first
+const plans = new Map();
+const startedAt = new Date();
+for (const run of scheduledRuns) {
+  const state = health.runs[run.name] || {};
+  health.runs[run.name] = { ...state, cron: run.cron.expression };
+
+  const missed = state.lastScheduledFor
+    ? getMissedRunTime(run.cron, new Date(state.lastScheduledFor), startedAt, settings.catchUpWithinHours)
+    : null;
+  if (missed && handleMissedRun(run, missed)) {
+    plans.set(run.name, { scheduledFor: missed, runAt: startedAt });
+  } else {
+    plans.set(run.name, planRun(run, startedAt));
+  }
+}
+
+console.log(`Daemon started with ${scheduledRuns.length} scheduled runs; health file: ${settings.healthFile}`);
+for (const run of scheduledRuns) {
+  console.log(`  ${run.name} (${run.cron.expression}): next run at ${plans.get(run.name).runAt.toLocaleString()}`);
+}
+
+// Scheduled times before this moment passed while the machine was asleep
+let awakeSince = startedAt;
+try {
+  while (!stopping) {
+    const now = new Date();
+    const due = scheduledRuns
+      .filter((run) => plans.get(run.name).runAt <= now)
+      .sort((a, b) => plans.get(a.name).runAt - plans.get(b.name).runAt);
+
+    for (const run of due) {
+      if (stopping) break;
+      const { scheduledFor, runAt } = plans.get(run.name);
+      const missed = runAt < awakeSince;
+      if (!missed || handleMissedRun(run, scheduledFor)) {
+        await executeRun(run, scheduledFor);
+      }
+      plans.set(run.name, planRun(run, new Date(Math.max(Date.now(), scheduledFor.getTime()))));
+    }
+    await saveHealth();
+    if (stopping) break;
+
+    const nextRunAt = Math.min(...[...plans.values()].map((plan) => plan.runAt.getTime()));
+    const sleepMs = Math.max(0, Math.min(nextRunAt - Date.now(), HEARTBEAT_MS));
+    const sleepStart = Date.now();
+    await sleep(sleepMs);
+    if (Date.now() - sleepStart > sleepMs + SUSPEND_THRESHOLD_MS) {
+      awakeSince = new Date();
+      console.log(`Woke up from a suspend at ${awakeSince.toLocaleString()}`);
+    }
+  }
+} finally {
+  health.daemon.stoppedAt = new Date().toISOString();
+  await saveHealth();
+  await releaseLock(daemonLockFile);
+}
+console.log("Daemon stopped");
@@ -0,0 +1,62 @@
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { startFixtureServer } from "./server.js";
+
+/**
+ * Offline end-to-end run: starts the fixture site, runs the bot against it in
+ * dry-run mode and stops the site again, exiting with the bot's exit code:
+ *
+ *   bun run fixtures:dry-run [--config=<file>] [other bot options]
+ *
+ * The bot runs in a fresh temporary directory, so the listing registry and
+ * dry-run report of the fixture listings never mix with the real ones; the
+ * directory is printed at the end for a look at what the run wrote.
+ */
+
+// Get directory path
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.dirname(__dirname);
+
+/**
+ * Run the bot in a child process with the same runtime
+ * @param {Array<string>} args - Arguments for index.js
+ * @param {string} cwd - Working directory of the run
+ * @param {Object} env - Environment of the run
+ * @returns {Promise<number>} - Exit code of the bot (1 if it was killed by a signal)
+ */
+function runBot(args, cwd, env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(rootDir, "index.js"), ...args], { cwd, env, stdio: "inherit" });
+    child.on("error", reject);
+    child.on("exit", (code) => resolve(code === null ? 1 : code));
+  });
+}
+
+// The run's relative file names resolve in the temporary directory, the config is the checkout's
+const args = process.argv.slice(2);
+if (!args.some((arg) => arg.startsWith("--config="))) {
+  args.push(`--config=${path.join(rootDir, "config.json")}`);
+}
+
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "pricelabs-fixture-"));
+const { url, close } = await startFixtureServer(0);
+console.log(`PriceLabs fixture site running at ${url}; dry run in ${workDir}`);
+
+try {
+  // The fixture site accepts any email and password
+  process.exitCode = await runBot(["--dry-run", ...args], workDir, {
+    ...process.env,
+    PRICELABS_SIGNIN_URL: `${url}/signin.html`,
+    PRICELABS_EMAIL: "fixture@example.com",
+    PRICELABS_PASSWORD: "fixture"
+  });
+} catch (error) {
+  console.error(`Could not start the bot: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  await close();
+}
+console.log(`Dry run against the fixture site finished; its report and listing registry are in ${workDir}`);
@@ -0,0 +1,179 @@
+import http from "http";
+import net from "net";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * Stand-in notification receivers, so run summaries and alerts can be tried
+ * without a real webhook or mail server: an HTTP server that takes webhook
+ * POSTs and a minimal SMTP server (no TLS, any login accepted). Everything they
+ * receive is printed and kept in memory.
+ *
+ *   bun run notify-server                (webhook http://localhost:4174, SMTP localhost:2525)
+ *   NOTIFY_WEBHOOK_URL=http://localhost:4174/hook bun run notify-test
+ *
+ * For email, set notifications.email to { "host": "localhost", "port": 2525, ... }.
+ */
+
+/**
+ * Start the webhook receiver
+ * @param {number} port - Port to listen on (0 picks a free port)
+ * @param {Function} onMessage - Called with each received message ({ channel, path, body })
+ * @returns {Promise<Object>} - HTTP server, listening
+ */
+async function startWebhookServer(port, onMessage) {
+  const server = http.createServer((request, response) => {
+    let body = "";
+    request.setEncoding("utf8");
+    request.on("data", (chunk) => {
+      body += chunk;
+    });
+    request.on("end", () => {
+      if (request.method !== "POST") {
+        response.writeHead(405, { "Content-Type": "text/plain" }).end("POST only");
+        return;
+      }
+      try {
+        onMessage({ channel: "webhook", path: request.url, body: JSON.parse(body) });
+        // Slack answers "ok"
+        response.writeHead(200, { "Content-Type": "text/plain" }).end("ok");
+      } catch (error) {
+        response.writeHead(400, { "Content-Type": "text/plain" }).end(`Invalid JSON: ${error.message}`);
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve));
+  return server;
+}
+
+/**
+ * Start the SMTP receiver
+ * @param {number} port - Port to listen on (0 picks a free port)
+ * @param {Function} onMessage - Called with each received email ({ channel, from, to, data })
+ * @returns {Promise<Object>} - TCP server, listening
+ */
+async function startSmtpServer(port, onMessage) {
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let mail = null;
+    let dataLines = null;
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply("220 localhost stand-in SMTP server");
+    socket.setEncoding("utf8");
+    socket.on("error", () => socket.destroy());
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        // Message text, up to the line holding a single "."
+        if (dataLines) {
+          if (line === ".") {
+            onMessage({ channel: "email", from: mail.from, to: mail.to, data: dataLines.join("\n") });
+            dataLines = null;
+            mail = null;
+            reply("250 Message accepted");
+          } else {
+            dataLines.push(line.startsWith("..") ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        const argument = line.slice(line.indexOf(":") + 1).replace(/^\s*<|>\s*$/g, "");
+        switch (command) {
+        case "EHLO":
+          reply("250-localhost");
+          reply("250 AUTH PLAIN");
+          break;
+        case "HELO":
+        case "RSET":
+        case "NOOP":
+          reply("250 OK");
+          break;
+        case "AUTH":
+          reply("235 Authentication succeeded");
+          break;
+        case "MAIL":
+          mail = { from: argument, to: [] };
+          reply("250 OK");
+          break;
+        case "RCPT":
+          if (!mail) {
+            reply("503 MAIL first");
+          } else {
+            mail.to.push(argument);
+            reply("250 OK");
+          }
+          break;
+        case "DATA":
+          if (!mail || mail.to.length === 0) {
+            reply("503 RCPT first");
+          } else {
+            dataLines = [];
+            reply("354 End data with <CR><LF>.<CR><LF>");
+          }
+          break;
+        case "QUIT":
+          reply("221 Bye");
+          socket.end();
+          break;
+        default:
+          reply("502 Command not implemented");
+        }
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve));
+  return server;
+}
+
+/**
+ * Start the stand-in webhook and SMTP servers
+ * @param {Object} [options] - Ports ({ httpPort, smtpPort }; 0 picks a free port), and onMessage,
+ *   called with each message as it arrives
+ * @returns {Promise<{webhookUrl: string, smtpPort: number, messages: Array<Object>, close: Function}>} - Webhook URL,
+ *   SMTP port, the messages received so far and a function that stops both servers
+ */
+export async function startNotifyServer({ httpPort = 4174, smtpPort = 2525, onMessage = () => {} } = {}) {
+  const messages = [];
+  const receive = (message) => {
+    messages.push(message);
+    onMessage(message);
+  };
+
+  const webhookServer = await startWebhookServer(httpPort, receive);
+  const smtpServer = await startSmtpServer(smtpPort, receive);
+
+  return {
+    webhookUrl: `http://localhost:${webhookServer.address().port}/hook`,
+    smtpPort: smtpServer.address().port,
+    messages,
+    close: () => Promise.all([
+      new Promise((resolve) => webhookServer.close(resolve)),
+      new Promise((resolve) => smtpServer.close(resolve))
+    ])
+  };
+}
+
+// Started as a script: print what arrives until interrupted
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const portArg = (name, fallback) => {
+    const arg = process.argv.find((value) => value.startsWith(`--${name}=`));
+    return arg ? Number(arg.slice(name.length + 3)) : fallback;
+  };
+  const { webhookUrl, smtpPort } = await startNotifyServer({
+    httpPort: portArg("http-port", 4174),
+    smtpPort: portArg("smtp-port", 2525),
+    onMessage: (message) => {
+      console.log(`\n--- ${message.channel} ${new Date().toLocaleTimeString()} ---`);
+      console.log(message.channel === "webhook" ? message.body.text : `From: ${message.from}\nTo: ${message.to.join(", ")}\n${message.data}`);
+    }
+  });
+  console.log(`Webhook receiver running at ${webhookUrl}, SMTP receiver on localhost:${smtpPort}`);
+}
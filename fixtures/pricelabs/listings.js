@@ -0,0 +1,53 @@
+/**
+ * Fixture listings for the offline PriceLabs site. Prices changed through the
+ * pricing page are kept in localStorage, so later runs see the saved values.
+ */
+window.FIXTURE_LISTINGS = {
+  "1001": {
+    name: "Fixture Beach House",
+    pms: "airbnb",
+    bedrooms: 3,
+    occupancy: ["92%", "88%", "80%"],
+    minPrice: 150,
+    basePrice: 200
+  },
+  "1002": {
+    name: "Fixture Downtown Loft",
+    pms: "vrbo",
+    bedrooms: 1,
+    occupancy: ["35%", "40%", "45%"],
+    // Less than 20% below the base price, so saving shows the recommendation modal
+    minPrice: 100,
+    basePrice: 120
+  },
+  "1003": {
+    name: "Fixture Mountain Cabin",
+    pms: "airbnb",
+    bedrooms: 2,
+    occupancy: ["N/A", "55%", "60%"],
+    minPrice: 70,
+    basePrice: 100
+  }
+};
+
+/**
+ * Get a listing with the prices saved in this browser
+ * @param {string} listingId - Listing ID
+ * @returns {Object|null} - Listing, or null if there is no such fixture listing
+ */
+window.loadFixtureListing = function (listingId) {
+  const listing = window.FIXTURE_LISTINGS[listingId];
+  if (!listing) return null;
+  const saved = JSON.parse(localStorage.getItem(`fixture-listing-${listingId}`) || "{}");
+  return { ...listing, ...saved };
+};
+
+/**
+ * Save changed values of a listing in this browser
+ * @param {string} listingId - Listing ID
+ * @param {Object} values - Values to save (minPrice, basePrice, lastSync)
+ */
+window.saveFixtureListing = function (listingId, values) {
+  const saved = JSON.parse(localStorage.getItem(`fixture-listing-${listingId}`) || "{}");
+  localStorage.setItem(`fixture-listing-${listingId}`, JSON.stringify({ ...saved, ...values }));
+};
@@ -0,0 +1,66 @@
+import http from "http";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+/**
+ * Serves the offline PriceLabs fixture site from fixtures/pricelabs, so the bot
+ * can be run end-to-end without touching the real PriceLabs:
+ *
+ *   bun run fixtures                     (serves http://localhost:4173)
+ *   PRICELABS_SIGNIN_URL=http://localhost:4173/signin.html bun run dry-run
+ */
+
+// Get directory path
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE_DIR = path.join(__dirname, "pricelabs");
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8"
+};
+
+/**
+ * Start the fixture server
+ * @param {number} port - Port to listen on (0 picks a free port)
+ * @returns {Promise<{url: string, close: Function}>} - Base URL and a function that stops the server
+ */
+export async function startFixtureServer(port = 4173) {
+  const server = http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+    const filePath = path.join(FIXTURE_DIR, path.normalize(pathname === "/" ? "/signin.html" : pathname));
+
+    // Never serve anything outside the fixture directory
+    if (!filePath.startsWith(FIXTURE_DIR + path.sep)) {
+      response.writeHead(403).end();
+      return;
+    }
+
+    try {
+      const body = await fs.readFile(filePath);
+      response.writeHead(200, {
+        "Content-Type": CONTENT_TYPES[path.extname(filePath)] || "application/octet-stream"
+      });
+      response.end(body);
+    } catch {
+      response.writeHead(404, { "Content-Type": "text/plain" }).end(`Not found: ${pathname}`);
+    }
+  });
+
+  await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve));
+  const url = `http://localhost:${server.address().port}`;
+
+  return {
+    url,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+// Started as a script: serve until interrupted
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const portArg = process.argv.find((arg) => arg.startsWith("--port="));
+  const { url } = await startFixtureServer(portArg ? Number(portArg.slice("--port=".length)) : 4173);
+  console.log(`PriceLabs fixture site running at ${url}`);
+  console.log(`Run the bot against it with PRICELABS_SIGNIN_URL=${url}/signin.html`);
+}
@@ -0,0 +1,124 @@
+/**
+ * Hard price limits enforced on top of whatever the strategy plugin proposes.
+ *
+ * config.priceLimits (overridable per group and property):
+ *
+ *   "priceLimits": {
+ *     "min":  { "floor": 60, "ceiling": 400 },
+ *     "base": { "floor": 90, "ceiling": 600 },
+ *     "maxDrift": { "percentage": 15, "days": 30 }
+ *   }
+ *
+ * "floor"/"ceiling" are absolute prices; "maxDrift" caps how far a price may
+ * move away from its reference price (the price at the start of the window of
+ * "days" days). Any limit set to null is disabled.
+ */
+
+/**
+ * Get the limits that apply to one price type
+ * @param {Object} priceLimits - config.priceLimits (may be undefined)
+ * @param {string} priceType - Type of price ("min" or "base")
+ * @returns {{floor: number|null, ceiling: number|null, maxDriftPercentage: number|null, maxDriftDays: number}}
+ */
+export function getPriceLimits(priceLimits, priceType) {
+  const limits = (priceLimits && priceLimits[priceType]) || {};
+  const drift = (priceLimits && priceLimits.maxDrift) || {};
+
+  return {
+    floor: isSet(limits.floor) ? limits.floor : null,
+    ceiling: isSet(limits.ceiling) ? limits.ceiling : null,
+    maxDriftPercentage: isSet(drift.percentage) ? drift.percentage : null,
+    maxDriftDays: isSet(drift.days) ? drift.days : 30
+  };
+}
+
+/**
+ * Find the reference price for the drift limit: the "before" value of the
+ * oldest recorded change inside the drift window
+ * @param {Array} priceHistory - Property price history ({ date, minPrice, basePrice })
+ * @param {string} priceType - Type of price ("min" or "base")
+ * @param {number} days - Length of the drift window in days
+ * @param {Date} now - Current date
+ * @returns {number|null} - Reference price, or null if there is no change in the window
+ */
+export function findReferencePrice(priceHistory, priceType, days, now) {
+  const windowStart = new Date(now);
+  windowStart.setDate(windowStart.getDate() - days);
+  const key = priceType === "min" ? "minPrice" : "basePrice";
+
+  let oldest = null;
+  for (const entry of priceHistory || []) {
+    const entryDate = new Date(entry.date);
+    if (entryDate < windowStart || !entry[key] || !(entry[key].before > 0)) continue;
+    if (!oldest || entryDate < new Date(oldest.date)) {
+      oldest = entry;
+    }
+  }
+
+  return oldest ? oldest[key].before : null;
+}
+
+/**
+ * Clamp a proposed price to the drift limit and the hard floor/ceiling
+ * @param {number} price - Price proposed by the strategy
+ * @param {Object} options - Limits to enforce
+ * @param {string} options.priceType - Type of price ("min" or "base")
+ * @param {Object} options.limits - Limits from getPriceLimits()
+ * @param {number|null} options.referencePrice - Reference price for the drift limit
+ * @returns {{price: number, clamps: Array<Object>}} - Final price and the clamps applied
+ */
+export function applyPriceLimits(price, { priceType, limits, referencePrice }) {
+  const clamps = [];
+  let result = price;
+
+  const clamp = (to, rule, reason) => {
+    clamps.push({ priceType, rule, from: result, to, reason });
+    result = to;
+  };
+
+  // Drift first, so the hard limits always have the last word
+  if (limits.maxDriftPercentage !== null && referencePrice > 0) {
+    const maxPrice = Math.round(referencePrice * (1 + limits.maxDriftPercentage / 100));
+    const minPrice = Math.round(referencePrice * (1 - limits.maxDriftPercentage / 100));
+    if (result > maxPrice) {
+      clamp(maxPrice, "maxDrift", `more than ${limits.maxDriftPercentage}% above reference price ${referencePrice} (last ${limits.maxDriftDays} days)`);
+    } else if (result < minPrice) {
+      clamp(minPrice, "maxDrift", `more than ${limits.maxDriftPercentage}% below reference price ${referencePrice} (last ${limits.maxDriftDays} days)`);
+    }
+  }
+
+  if (limits.floor !== null && result < limits.floor) {
+    clamp(limits.floor, "floor", `below hard floor ${limits.floor}`);
+  }
+
+  if (limits.ceiling !== null && result > limits.ceiling) {
+    clamp(limits.ceiling, "ceiling", `above hard ceiling ${limits.ceiling}`);
+  }
+
+  return { price: result, clamps };
+}
+
+/**
+ * Check a price against the hard limits
+ * @param {number} price - Price to check
+ * @param {Object} limits - Limits from getPriceLimits()
+ * @returns {string|null} - Description of the violation, or null if within limits
+ */
+export function checkHardLimits(price, limits) {
+  if (limits.floor !== null && price < limits.floor) {
+    return `price ${price} is below the hard floor ${limits.floor}`;
+  }
+  if (limits.ceiling !== null && price > limits.ceiling) {
+    return `price ${price} is above the hard ceiling ${limits.ceiling}`;
+  }
+  return null;
+}
+
+/**
+ * Check whether a limit value is configured
+ * @param {*} value - Config value
+ * @returns {boolean} - Whether the value is a number
+ */
+function isSet(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
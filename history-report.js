@@ -0,0 +1,98 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadCliConfig } from "./cli-options.js";
+import { getListingLabel, loadListingRegistry } from "./listing-registry.js";
+import { DEFAULT_LEDGER_FILE } from "./ledger.js";
+import { importLedger, openHistoryStore } from "./history-store.js";
+
+/**
+ * Show a listing's history from the configured history store, one row per run:
+ *
+ *   bun run history <listing ID> [--since=YYYY-MM-DD] [--csv]
+ *   bun run history --import
+ *
+ * --since only shows runs from that date on, --csv prints the rows as CSV.
+ * --import copies every run of the ledger into config.historyDatabase again,
+ * e.g. after restoring the ledger from a backup.
+ */
+
+// Get directory path
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const sinceArg = process.argv.find((arg) => arg.startsWith("--since="));
+const since = sinceArg ? sinceArg.slice("--since=".length) : null;
+const csv = process.argv.includes("--csv");
+
+let config;
+let cliOptions;
+try {
+  ({ config, options: cliOptions } = await loadCliConfig(__dirname));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+// The listing is given as the first argument, or with --listing=<id>
+const listingId = process.argv.slice(2).find((arg) => !arg.startsWith("--")) || cliOptions.listings[0];
+
+/**
+ * Format a price change for the table
+ * @param {Object} [price] - Price ({ before, after })
+ * @returns {string} - e.g. "100 → 102", or "" without a price
+ */
+function formatPrice(price) {
+  if (!price) return "";
+  return price.before === price.after ? `${price.after}` : `${price.before} → ${price.after}`;
+}
+
+if (process.argv.includes("--import")) {
+  if (!config.historyDatabase) {
+    console.error("No historyDatabase in config.json: the history is read from the ledger");
+    process.exit(1);
+  }
+  const ledgerFile = config.ledgerFile || DEFAULT_LEDGER_FILE;
+  const store = await openHistoryStore(config);
+  const imported = await importLedger(store, ledgerFile);
+  store.close();
+  console.log(`Imported ${imported} runs from ${ledgerFile} into ${config.historyDatabase}`);
+  process.exit(0);
+}
+
+if (!listingId || (since && !/^\d{4}-\d{2}-\d{2}$/.test(since))) {
+  console.error("Usage: bun run history <listing ID> [--since=YYYY-MM-DD] [--csv]");
+  process.exit(1);
+}
+
+const store = await openHistoryStore(config);
+const history = store.getListingHistory(listingId).filter((entry) => !since || entry.date >= since);
+const adjustments = store.getAdjustmentsSince(listingId, since);
+store.close();
+
+if (history.length === 0) {
+  console.error(`No history for listing ${listingId}${since ? ` since ${since}` : ""}`);
+  process.exit(1);
+}
+
+// Oldest first, like a timeline
+const rows = [...history].reverse().map((entry) => ({
+  date: entry.date,
+  run: entry.runId || "",
+  "7d": entry.occupancy ? entry.occupancy["7_day_occ"] : "",
+  "30d": entry.occupancy ? entry.occupancy["30_day_occ"] : "",
+  "60d": entry.occupancy ? entry.occupancy["60_day_occ"] : "",
+  min: formatPrice(entry.minPrice),
+  base: formatPrice(entry.basePrice),
+  status: entry.error ? `error: ${entry.error}` : entry.paused ? "paused" : entry.status || ""
+}));
+
+if (csv) {
+  const headers = Object.keys(rows[0]);
+  console.log(headers.join(","));
+  for (const row of rows) {
+    console.log(headers.map((header) => JSON.stringify(String(row[header] ?? ""))).join(","));
+  }
+} else {
+  const registry = await loadListingRegistry(config.listingRegistryFile || "pricelabs_listings.json");
+  console.log(`History of ${getListingLabel(registry, listingId)}: ${history.length} runs, ${adjustments.length} applied price changes`);
+  console.table(rows);
+}
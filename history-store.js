@@ -0,0 +1,64 @@
+import { DEFAULT_LEDGER_FILE, loadLedgerHistory, readLedger } from "./ledger.js";
+import { createMemoryHistory } from "./history.js";
+
+/**
+ * Opens the history store the config selects: the ledger read into memory by
+ * default, or the SQLite database in config.historyDatabase. Either way the
+ * ledger stays the append-only record of every run; the database is an indexed
+ * copy that the bot keeps up to date and that can be rebuilt from the ledger.
+ */
+
+/**
+ * Open the configured history store
+ * @param {Object} config - Global configuration
+ * @returns {Promise<Object>} - History store (see history.js)
+ */
+export async function openHistoryStore(config) {
+  const ledgerFile = config.ledgerFile || DEFAULT_LEDGER_FILE;
+  if (!config.historyDatabase) {
+    return createMemoryHistory(await loadLedgerHistory(ledgerFile));
+  }
+
+  // Only load the SQLite store when it is used: it needs Bun
+  const { openSqliteHistory } = await import("./sqlite-history.js");
+  const store = openSqliteHistory(config.historyDatabase);
+
+  // A new database starts out with the runs already in the ledger, and one that
+  // missed runs (e.g. a write that failed) catches up with them
+  const known = new Set(store.getRunIds());
+  const { runs } = await readLedger(ledgerFile);
+  const missing = runs.filter((run) => !known.has(run.runId));
+  if (missing.length > 0) {
+    store.importRuns(missing.map(toStoreRun));
+    console.log(`Imported ${missing.length} runs from ${ledgerFile} into ${config.historyDatabase}`);
+  }
+  return store;
+}
+
+/**
+ * Turn a ledger run into the shape the SQLite store imports
+ * @param {Object} run - Ledger run ({ ...run record, changes: [change records] })
+ * @returns {{run: Object, changes: Array<Object>}} - Run and its changes, without the record types
+ */
+function toStoreRun({ changes, ...run }) {
+  return {
+    run,
+    changes: changes.map((record) => {
+      const change = { ...record };
+      delete change.type;
+      return change;
+    })
+  };
+}
+
+/**
+ * Copy every run of the ledger into a SQLite history store, replacing the runs it already has
+ * @param {Object} store - SQLite history store
+ * @param {string} ledgerFile - Path to the ledger
+ * @returns {Promise<number>} - Number of runs imported
+ */
+export async function importLedger(store, ledgerFile) {
+  const { runs } = await readLedger(ledgerFile);
+  store.importRuns(runs.map(toStoreRun));
+  return runs.length;
+}
@@ -0,0 +1,121 @@
+import { getListingId } from "./listing.js";
+
+/**
+ * Query API over the history of past runs, as the strategy core and the
+ * reporting tools consume it. Two stores implement it: createMemoryHistory()
+ * below, over runs loaded from the ledger (or built up by the simulators), and
+ * the SQLite store in sqlite-history.js. Every store has:
+ *
+ *   getListingIds()                                    listing IDs with any history
+ *   getListingHistory(listingId, options)              entries ({ url, date, runId, occupancy, minPrice, basePrice, status, error, ... })
+ *   getOccupancySeries(listingId, options)             parsed occupancy ({ date, sevenDay, thirtyDay, sixtyDay })
+ *   getAdjustmentsSince(listingId, sinceDate, options) applied price changes ({ date, runId, minPrice, basePrice })
+ *   close()
+ *
+ * All results are newest run first, and in run order within a run. options.excludeRunId
+ * leaves out the entries of one run (the current run, when it is resumed).
+ * No Node dependencies: the strategy core uses this module too.
+ */
+
+// Save outcomes (see getVerificationStatus in index.js) whose prices never made it into PriceLabs
+export const UNVERIFIED_STATUSES = ["rejected", "mismatch"];
+
+/**
+ * Parse occupancy rate from string to decimal (0.25 instead of "25%")
+ * @param {string|number} rateStr - Occupancy rate as string (e.g., "85%")
+ * @returns {number} - Occupancy rate as decimal (0-1)
+ */
+export function parseOccupancyRate(rateStr) {
+  // If null, undefined, "N/A" or empty string, return 0 (not null)
+  if (rateStr === null || rateStr === undefined || rateStr === "N/A" || rateStr === "") {
+    return 0; // Treat N/A as 0% occupancy
+  }
+
+  if (typeof rateStr === "number") {
+    // Already a number, just ensure it's in decimal form (0-1 range)
+    return rateStr > 1 ? rateStr / 100 : rateStr;
+  }
+
+  if (typeof rateStr !== "string") return 0;
+
+  const match = rateStr.match(/(\d+(\.\d+)?)%?/);
+  if (!match) return 0;
+
+  // Convert to decimal (divide by 100)
+  return parseFloat(match[1]) / 100;
+}
+
+/**
+ * Parse the occupancy of a history entry
+ * @param {Object} entry - Entry with an occupancy object ({ 7_day_occ, 30_day_occ, 60_day_occ })
+ * @returns {{date: string, sevenDay: number, thirtyDay: number, sixtyDay: number}} - Parsed occupancy
+ */
+export function parseOccupancy(entry) {
+  return {
+    date: entry.date,
+    sevenDay: parseOccupancyRate(entry.occupancy["7_day_occ"]),
+    thirtyDay: parseOccupancyRate(entry.occupancy["30_day_occ"]),
+    sixtyDay: parseOccupancyRate(entry.occupancy["60_day_occ"])
+  };
+}
+
+/**
+ * Check whether a history entry is a price change that made it into PriceLabs
+ * (saves that PriceLabs rejected or that read back different prices are left out)
+ * @param {Object} entry - History entry
+ * @returns {boolean} - Whether the entry counts as an applied adjustment
+ */
+export function isAppliedAdjustment(entry) {
+  return Boolean(!entry.error && entry.minPrice && entry.basePrice && !UNVERIFIED_STATUSES.includes(entry.status));
+}
+
+/**
+ * Check whether a history entry records a failed listing: one that errored, or
+ * whose saved prices PriceLabs didn't keep
+ * @param {Object} entry - History entry
+ * @returns {boolean} - Whether the listing failed
+ */
+export function isFailedChange(entry) {
+  return Boolean(entry.error || UNVERIFIED_STATUSES.includes(entry.status));
+}
+
+/**
+ * Create a history store over runs held in memory
+ * @param {Array|Object} logData - Runs ({ runId, lastRun, changes }), newest first, or a single legacy run
+ * @returns {Object} - History store (see the module comment)
+ */
+export function createMemoryHistory(logData) {
+  const entries = Array.isArray(logData)
+    ? logData.flatMap(run => Array.isArray(run.changes) ? run.changes : [])
+    : Array.isArray(logData.changes) ? logData.changes : [];
+
+  // Entries by listing ID, in log order
+  const byListing = new Map();
+  for (const entry of entries) {
+    const listingId = entry.listingId || getListingId(entry.url);
+    if (!byListing.has(listingId)) {
+      byListing.set(listingId, []);
+    }
+    byListing.get(listingId).push(entry);
+  }
+
+  const getListingHistory = (listingId, { excludeRunId = null } = {}) => (byListing.get(listingId) || [])
+    .filter(entry => !excludeRunId || entry.runId !== excludeRunId);
+
+  return {
+    getListingIds: () => [...byListing.keys()],
+    getListingHistory,
+    getOccupancySeries: (listingId, options) => getListingHistory(listingId, options)
+      .filter(entry => !entry.error && entry.occupancy)
+      .map(parseOccupancy),
+    getAdjustmentsSince: (listingId, sinceDate = null, options) => getListingHistory(listingId, options)
+      .filter(entry => isAppliedAdjustment(entry) && (sinceDate === null || entry.date >= sinceDate))
+      .map(entry => ({
+        date: entry.date,
+        runId: entry.runId || null,
+        minPrice: { before: entry.minPrice.before, after: entry.minPrice.after },
+        basePrice: { before: entry.basePrice.before, after: entry.basePrice.after }
+      })),
+    close() {}
+  };
+}
@@ -1,90 +1,198 @@
-import puppeteer from "puppeteer";
 import dotenv from "dotenv";
 import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
 import PricingStrategy from "./strategy.js";
+import { createPlan, savePlan, loadPlan, getApprovedEntries } from "./plan.js";
+import { loadCliConfig } from "./cli-options.js";
+import { createCheckpoint, createRunId, loadCheckpoint, markCompleted, readCheckpoint, saveCheckpoint } from "./checkpoint.js";
+import { isFailedChange } from "./history.js";
+import { createNotifier, findDecreaseStreaks } from "./notifications.js";
+import { releaseLock, tryAcquireLock } from "./lock.js";
+import { DEFAULT_LEDGER_FILE, appendRun, checkLegacyLogImported, hashConfig } from "./ledger.js";
+import { applyListingFilter, buildListingFilter, describeListing } from "./listing-filter.js";
+import { getListingLabel, loadListingRegistry, saveListingRegistry, updateListingRegistry } from "./listing-registry.js";
+import { getCalendarUrl, getListingId } from "./listing.js";
+import { selectUpcomingNights } from "./calendar.js";
+import { loadLatestCalendarSnapshot, saveCalendarSnapshot } from "./calendar-store.js";
+import LoginPage from "./pages/login-page.js";
+import DashboardPage from "./pages/dashboard-page.js";
+import PricingPage from "./pages/pricing-page.js";
+import { launchBrowser, wait } from "./pages/browser-utils.js";
+import { runWithPagePool } from "./pages/page-pool.js";
+import { assertCriticalSelectors } from "./pages/selector-check.js";
 
 // Load environment variables
 dotenv.config();
 
-// Get config
+// Get config (refuse to run on an invalid config); see cli-options.js for
+// --config, --log-file, --listing and --verbose/--quiet
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const config = JSON.parse(
-  await fs.readFile(path.join(__dirname, "config.json"), "utf8")
-);
-
-// Selectors
-const SELECTORS = {
-  EMAIL: "#user_email",
-  PASSWORD: "#password-field",
-  SUBMIT: "#new_user > input.btn-red.btn.btn-primary.btn-block.btn-md",
-  TABLE_BODY: "#mc-main > div > table > tbody",
-  TABLE_ROWS: "#mc-main > div > table > tbody > tr",
-  PROPERTY_LINK: "td:nth-child(1) > div > div > a",
-  OCCUPANCY_RATES: "#popover-trigger-metric-cell-occupancy > p",
-  MIN_PRICE_INPUT: "#rp-min-price-input input",
-  BASE_PRICE_INPUT: "#rp-base-price-input input",
-  SAVE_BUTTON: "#rp-save-and-refresh"
-};
+let config;
+let cliOptions;
+try {
+  ({ config, options: cliOptions } = await loadCliConfig(__dirname));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 
-// For elements with dynamic IDs that may change
-const DYNAMIC_SELECTORS = {
-  MODAL: "div[role=\"dialog\"][aria-modal=\"true\"]",
-  IGNORE_BUTTON:
-    "div[id^=\"chakra-modal-\"] footer button:first-child, div[role=\"dialog\"][aria-modal=\"true\"] footer button:first-child",
-  // Text to identify the specific pricing recommendation modal
-  MODAL_TEXT_IDENTIFIER:
-    "Set your Minimum Price at least 20% below your Base Price"
+// Command line flags
+// --plan scrapes and proposes like --dry-run, but writes a plan for review;
+// --apply-plan pushes only the approved entries of that plan;
+// --resume continues an interrupted run, skipping the listings it finished;
+// --force adjusts listings even when they were adjusted too recently;
+// --include=<filter> / --exclude=<filter> select listings (see listing-filter.js),
+// --listing=<id> being short for --include=id:<id>
+const applyPlanMode = process.argv.includes("--apply-plan");
+const planMode = !applyPlanMode && process.argv.includes("--plan");
+const dryRun = planMode || process.argv.includes("--dry-run");
+const resumeMode = process.argv.includes("--resume");
+const force = process.argv.includes("--force");
+const runMode = applyPlanMode ? "apply-plan" : planMode ? "plan" : dryRun ? "dry-run" : "run";
+const dryRunReportFile = config.dryRunReportFile || "pricelabs_dry_run.json";
+const planFile = config.planFile || "pricelabs_plan.json";
+const checkpointFile = config.checkpointFile || "pricelabs_checkpoint.json";
+const listingRegistryFile = config.listingRegistryFile || "pricelabs_listings.json";
+const ledgerFile = config.ledgerFile || DEFAULT_LEDGER_FILE;
+const lockFile = config.lockFile || "pricelabs_bot.lock";
+const calendarConfig = { enabled: false, nights: 90, snapshotDir: "calendar-snapshots", ...config.calendar };
+
+// Exit codes, so schedulers can alert on failures: 1 when the bot couldn't run or
+// stopped early (invalid config, login failure, crash, ...), 2 when the run
+// finished but some listings failed or their saved prices weren't kept, 3 when
+// another run was still going (see lockFile)
+const EXIT_FATAL = 1;
+const EXIT_LISTINGS_FAILED = 2;
+const EXIT_LOCKED = 3;
+
+// Run summary and alerts (see notifications.js)
+const notifier = createNotifier(config.notifications);
+
+// Pages processing properties at once, and each page's pause between two properties
+const concurrency = config.concurrency || 1;
+const politenessDelayMs = config.politenessDelayMs ?? 2000;
+const poolOptions = {
+  concurrency,
+  delayMs: politenessDelayMs,
+  setupPage: (page) => page.setDefaultTimeout(30000)
 };
 
-// Store changes for logging
-const changes = [];
-const today = new Date().toISOString().split("T")[0];
-let dayOfCycle = new Date().getDay(); // 0-6, representing Sunday-Saturday
+/**
+ * Collect the listing filters given with a command line flag. Flags may be
+ * repeated, and all but name patterns may list several filters separated by commas.
+ * @param {string} flag - Flag including the "=", e.g. "--include="
+ * @returns {Array<string>} - Filters
+ */
+function getFilterArgs(flag) {
+  return process.argv
+    .filter((arg) => arg.startsWith(flag))
+    .flatMap((arg) => {
+      const value = arg.slice(flag.length);
+      return value.startsWith("name:") ? [value] : value.split(",").filter(Boolean);
+    });
+}
 
-// Initialize the strategy module
-const pricingStrategy = await new PricingStrategy().initialize(config);
+// Listings to include, exclude or leave paused
+let listingFilter;
+try {
+  listingFilter = buildListingFilter(config.listingFilter, {
+    include: [...getFilterArgs("--include="), ...cliOptions.listings.map((id) => `id:${id}`)],
+    exclude: getFilterArgs("--exclude=")
+  });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 
-// Flag to track if we have UI-based changes not captured by the strategy module
-let hasUiOnlyChanges = false;
+// Listings seen on the dashboard, by listing ID
+let listingRegistry;
+try {
+  listingRegistry = await loadListingRegistry(listingRegistryFile);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 
-/**
- * Helper function for waiting - compatible with all Puppeteer versions
- * @param {Object} page - Puppeteer page object
- * @param {number} ms - Milliseconds to wait
- */
-async function wait(page, ms) {
-  await page.evaluate((timeout) => {
-    return new Promise((resolve) => setTimeout(resolve, timeout));
-  }, ms);
+// The strategy's history comes from the ledger; a legacy change log must be imported first
+if (config.logFile) {
+  try {
+    await checkLegacyLogImported(ledgerFile, config.logFile);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
 }
 
-/**
- * Retry function for operations that might fail
- * @param {Function} fn - The function to retry
- * @param {number} maxRetries - Maximum number of retry attempts
- * @param {number} retryDelay - Delay between retries in ms
- */
-async function retry(fn, maxRetries = 3, retryDelay = 1000) {
-  let lastError;
+if (resumeMode && (dryRun || applyPlanMode)) {
+  console.error("--resume only continues a regular run; it can't be combined with --dry-run, --plan or --apply-plan");
+  process.exit(1);
+}
 
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      return await fn();
-    } catch (error) {
-      console.log(`Attempt ${attempt}/${maxRetries} failed: ${error.message}`);
-      lastError = error;
-      if (attempt < maxRetries) {
-        console.log(`Retrying in ${retryDelay}ms...`);
-        await new Promise((resolve) => setTimeout(resolve, retryDelay));
-      }
-    }
+// Checkpoint of a regular run, recording the listings it finished
+let checkpoint = null;
+if (resumeMode) {
+  try {
+    checkpoint = await loadCheckpoint(checkpointFile);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+} else if (!dryRun && !applyPlanMode) {
+  const previousCheckpoint = await readCheckpoint(checkpointFile);
+  if (previousCheckpoint && previousCheckpoint.runId && !previousCheckpoint.finishedAt) {
+    console.log(`Warning: run ${previousCheckpoint.runId} did not finish; starting a new run (use --resume to continue it instead)`);
   }
+  checkpoint = createCheckpoint(new Date());
+}
+
+// Never run alongside another run (started by hand or by the daemon)
+const lockHolder = await tryAcquireLock(lockFile, { mode: runMode });
+if (lockHolder) {
+  console.error(`Another run (process ${lockHolder.pid}, started ${lockHolder.startedAt}) holds ${lockFile}; not starting`);
+  process.exit(EXIT_LOCKED);
+}
+
+// Store changes for logging (proposed changes when running with --dry-run or --plan)
+const changes = [];
+const runStartedAt = checkpoint ? new Date(checkpoint.startedAt) : new Date();
+const today = checkpoint ? checkpoint.date : runStartedAt.toISOString().split("T")[0];
+
+// Initialize the strategy module. Its clock stays at the start of the run, so
+// a resumed run is dated and capped like the run it continues.
+// Without its history the strategy can't price safely, so the run stops before touching PriceLabs.
+let pricingStrategy;
+try {
+  pricingStrategy = await new PricingStrategy({
+    clock: { now: () => runStartedAt },
+    runId: checkpoint ? checkpoint.runId : undefined
+  }).initialize(config);
+} catch (error) {
+  console.error(error.message);
+  await releaseLock(lockFile);
+  process.exit(EXIT_FATAL);
+}
 
-  throw lastError;
+if (resumeMode) {
+  console.log(`Resuming run ${checkpoint.runId} from ${checkpoint.startedAt}: ${checkpoint.completed.length} listings already done`);
+  changes.push(...checkpoint.changes);
 }
 
+// Warnings collected for the end-of-run summary (e.g. live prices outside the hard limits)
+const runWarnings = [];
+
+// Listings left alone because they were adjusted too recently ({ url, reason })
+const skippedListings = [];
+
+// Paused listings: visited to record their occupancy, never adjusted
+const pausedListings = [];
+
+// Error that stopped the run early, for the run summary notification
+let runError = null;
+
+// How many times to re-enter and save prices that read back differently after saving
+const SAVE_VERIFY_RETRIES = 2;
+
 /**
  * Calculate price adjustment based on strategy and current day
  * @param {string} propertyUrl - URL of the property
@@ -98,521 +206,760 @@ function calculatePriceAdjustment(propertyUrl, currentPrice, occupancyRates, pri
 }
 
 /**
- * Main function to run the PriceLabs bot
+ * Record a run and its changes in the ledger (and the history database, if
+ * configured), stamped with the config hash and the strategy plugin of each listing
+ * @param {Object} run - Run ({ runId, mode, startedAt, finishedAt })
+ * @param {Array} entries - Changes of the run, one per listing
+ * @returns {Promise<void>}
  */
-async function runBot() {
-  console.log("Starting PriceLabs bot...");
+async function recordRun(run, entries) {
+  const runRecord = { ...run, date: today, configHash: hashConfig(config), strategyVersion: pricingStrategy.getStrategyVersion(null) };
+  const changeRecords = entries.map((entry) => ({ ...entry, strategyVersion: pricingStrategy.getStrategyVersion(entry.url) }));
 
-  // Launch browser
-  const browser = await puppeteer.launch({
-    headless: "new",
-    defaultViewport: null,
-    args: ["--start-maximized"]
-  });
+  // The ledger first: it is the record --resume and the history database are rebuilt from
+  await appendRun(ledgerFile, runRecord, changeRecords);
+  console.log(`Run ${run.runId} recorded in ${ledgerFile} with ${entries.length} changes`);
+
+  // The database is a copy of the ledger; a run it misses is added the next time it is opened
+  if (config.historyDatabase) {
+    try {
+      pricingStrategy.history.recordRun(runRecord, changeRecords);
+      console.log(`Run ${run.runId} recorded in ${config.historyDatabase}`);
+    } catch (error) {
+      console.error(`Could not record run ${run.runId} in ${config.historyDatabase}: ${error.message}`);
+      console.error(`It is in ${ledgerFile}; "bun run history --import" copies the ledger into the database again`);
+    }
+  }
+}
 
+/**
+ * Warn when a live price scraped from PriceLabs violates the hard price limits
+ * @param {string} url - URL of the property
+ * @param {number} price - Live price
+ * @param {string} priceType - Type of price ("min" or "base")
+ */
+function checkLivePrice(url, price, priceType) {
+  const violation = pricingStrategy.checkPriceLimits(url, price, priceType);
+  if (violation) {
+    const warning = `live ${violation}`;
+    console.log(`Warning: ${warning}`);
+    runWarnings.push({ url, warning });
+  }
+}
+
+// Checkpoint writes in progress, chained so they never overlap
+let checkpointWrites = Promise.resolve();
+
+/**
+ * Write the checkpoint once the writes queued before it are done, so pages
+ * finishing at the same time don't write the file concurrently
+ * @returns {Promise<void>} - Resolves when the checkpoint is written
+ */
+function queueCheckpointSave() {
+  checkpointWrites = checkpointWrites.then(() => saveCheckpoint(checkpointFile, checkpoint));
+  return checkpointWrites;
+}
+
+/**
+ * Compare the prices read back after saving with the ones before and after the change
+ * @param {Object} minPrice - Min price change ({ before, after })
+ * @param {Object} basePrice - Base price change ({ before, after })
+ * @param {{min: number, base: number}} saved - Prices read back from PriceLabs
+ * @returns {string} - "applied" (both new prices kept), "rejected" (both prices
+ *   unchanged) or "mismatch" (anything else)
+ */
+function getVerificationStatus(minPrice, basePrice, saved) {
+  if (saved.min === minPrice.after && saved.base === basePrice.after) {
+    return "applied";
+  }
+  if (saved.min === minPrice.before && saved.base === basePrice.before) {
+    return "rejected";
+  }
+  return "mismatch";
+}
+
+/**
+ * Reload a property's pricing page after saving and check that PriceLabs kept the
+ * new prices. Prices that read back differently are entered and saved again,
+ * up to SAVE_VERIFY_RETRIES times.
+ * @param {PricingPage} pricingPage - Page object of the pricing page
+ * @param {string} url - URL of the property
+ * @param {Object} minPrice - Min price change ({ before, after })
+ * @param {Object} basePrice - Base price change ({ before, after })
+ * @returns {Promise<Object>} - Verification ({ status, verifiedPrices, saveAttempts })
+ */
+async function verifySavedPrices(pricingPage, url, minPrice, basePrice) {
+  for (let attempt = 1; ; attempt++) {
+    const saved = await pricingPage.readSavedPrices(url);
+    const status = getVerificationStatus(minPrice, basePrice, saved);
+
+    if (status !== "mismatch" || attempt > SAVE_VERIFY_RETRIES) {
+      console.log(`Saved prices ${status} (min ${saved.min}, base ${saved.base})`);
+      return { status, verifiedPrices: saved, saveAttempts: attempt };
+    }
+
+    console.log(`Saved prices don't match (min ${saved.min}, base ${saved.base}), saving again (retry ${attempt}/${SAVE_VERIFY_RETRIES})`);
+    if (saved.min !== minPrice.after) {
+      await pricingPage.setPrice("min", minPrice.after);
+    }
+    if (saved.base !== basePrice.after) {
+      await pricingPage.setPrice("base", basePrice.after);
+    }
+    await pricingPage.saveAndSync();
+  }
+}
+
+/**
+ * Name a property for messages, using the listing registry
+ * @param {string} url - URL of the property
+ * @returns {string} - e.g. "Beach House (12345)", or the URL for unknown listings
+ */
+function labelListing(url) {
+  return getListingLabel(listingRegistry, getListingId(url), url);
+}
+
+/**
+ * Check the critical selectors of a page, alerting right away when they no longer match
+ * @param {Object} page - Puppeteer page object
+ * @param {string} pageName - Page to check ("dashboard" or "pricing")
+ * @returns {Promise<void>}
+ * @throws {Error} - If a critical selector is missing
+ */
+async function assertSelectors(page, pageName) {
   try {
-    const page = await browser.newPage();
+    await assertCriticalSelectors(page, pageName);
+  } catch (error) {
+    await notifier.sendAlert("selectors-broken", `${error.message}\nRun check-selectors to see which selectors need updating.`, { page: pageName, url: page.url() });
+    throw error;
+  }
+}
 
-    // Set default timeout
-    page.setDefaultTimeout(30000);
+/**
+ * Print a short summary of the run, including guardrail clamps and warnings
+ * @param {Array} runChanges - Changes (or proposals) recorded during the run
+ */
+function printRunSummary(runChanges) {
+  const failed = runChanges.filter((change) => change.error);
+  const clamped = runChanges.filter((change) => change.clamps && change.clamps.length > 0);
+
+  console.log("\nRun summary:");
+  console.log(`  Properties processed: ${runChanges.length - failed.length}, failed: ${failed.length}`);
+
+  const unverified = runChanges.filter((change) => change.status === "rejected" || change.status === "mismatch");
+  if (unverified.length > 0) {
+    console.log(`  Saves not kept by PriceLabs on ${unverified.length} properties:`);
+    for (const change of unverified) {
+      console.log(`    ${labelListing(change.url)}: ${change.status} (min ${change.verifiedPrices.min}, base ${change.verifiedPrices.base})`);
+    }
+  }
 
-    // Navigate to login page
-    console.log("Navigating to login page...");
-    await retry(async () => {
-      await page.goto("https://pricelabs.co/signin", {
-        waitUntil: "networkidle2"
-      });
-    });
+  if (clamped.length > 0) {
+    console.log(`  Guardrail clamps on ${clamped.length} properties:`);
+    for (const change of clamped) {
+      for (const clamp of change.clamps) {
+        console.log(`    ${labelListing(change.url)}: ${clamp.priceType} ${clamp.from} -> ${clamp.to} (${clamp.reason})`);
+      }
+    }
+  }
 
-    // Login
-    console.log("Logging in...");
-    await retry(async () => {
-      await page.type(SELECTORS.EMAIL, process.env.PRICELABS_EMAIL);
-      await page.type(SELECTORS.PASSWORD, process.env.PRICELABS_PASSWORD);
-      await Promise.all([
-        page.click(SELECTORS.SUBMIT),
-        page.waitForNavigation({ waitUntil: "networkidle0" })
-      ]);
-    });
+  if (pausedListings.length > 0) {
+    console.log(`  Paused ${pausedListings.length} properties (not adjusted${dryRun ? "" : ", occupancy recorded"}):`);
+    for (const url of pausedListings) {
+      console.log(`    ${labelListing(url)}`);
+    }
+  }
 
-    // Wait for table to load
-    console.log("Waiting for property table to load...");
-    await retry(async () => {
-      await page.waitForSelector(SELECTORS.TABLE_BODY, { visible: true });
-    });
+  if (skippedListings.length > 0) {
+    console.log(`  Skipped ${skippedListings.length} properties (use --force to adjust them anyway):`);
+    for (const { url, reason } of skippedListings) {
+      console.log(`    ${labelListing(url)}: ${reason}`);
+    }
+  }
 
-    // Extract property links
-    console.log("Extracting property links...");
-    const propertyLinks = await retry(async () => {
-      return await page.evaluate(
-        (selector, rowSelector) => {
-          const rows = document.querySelectorAll(rowSelector);
-          const links = [];
-
-          // Skip the first row (header)
-          for (let i = 1; i < rows.length; i++) {
-            const link = rows[i].querySelector(selector);
-            if (link && link.href) {
-              links.push(link.href);
-            }
-          }
-
-          return links;
-        },
-        SELECTORS.PROPERTY_LINK,
-        SELECTORS.TABLE_ROWS
-      );
-    });
+  if (runWarnings.length > 0) {
+    console.log(`  Warnings (${runWarnings.length}):`);
+    for (const { url, warning } of runWarnings) {
+      console.log(`    ${labelListing(url)}: ${warning}`);
+    }
+  }
+}
 
-    console.log(`Found ${propertyLinks.length} properties to process`);
+/**
+ * Get the exit code of a run that got to the end
+ * @param {Array} runChanges - Changes (or proposals) recorded during the run
+ * @returns {number} - EXIT_LISTINGS_FAILED if any listing failed or its saved prices weren't kept, 0 otherwise
+ */
+function getRunExitCode(runChanges) {
+  return runChanges.some(isFailedChange) ? EXIT_LISTINGS_FAILED : 0;
+}
 
-    // Process each property
-    for (let i = 0; i < propertyLinks.length; i++) {
-      const url = propertyLinks[i];
-      console.log(
-        `Processing property ${i + 1}/${propertyLinks.length}: ${url}`
-      );
+/**
+ * Send the end-of-run summary to the configured notification channels
+ * @param {Array} runChanges - Changes (or proposals) recorded during the run
+ * @returns {Promise<void>}
+ */
+async function notifyRunSummary(runChanges) {
+  if (notifier.channels.length === 0) return;
+
+  // Proposals have "proposed" prices where changes have "after"
+  const prices = (price) => ({ before: price.before, after: price.after ?? price.proposed });
+  const adjusted = runChanges
+    .filter((change) => !isFailedChange(change) && !change.paused && change.minPrice && change.basePrice)
+    .map((change) => ({ ...change, minPrice: prices(change.minPrice), basePrice: prices(change.basePrice) }))
+    .filter((change) => change.minPrice.before !== change.minPrice.after || change.basePrice.before !== change.basePrice.after);
+
+  // Only regular runs go into the history the streaks are looked up in
+  let decreaseStreaks = [];
+  if (!dryRun && !applyPlanMode && checkpoint) {
+    try {
+      decreaseStreaks = findDecreaseStreaks(adjusted, pricingStrategy.history, notifier.settings.decreaseStreak, checkpoint.runId)
+        .map((streak) => ({ ...streak, label: labelListing(streak.url) }));
+    } catch (error) {
+      console.error("Could not look for price decrease streaks:", error.message);
+    }
+  }
 
-      try {
-        // Navigate to property page
-        await retry(async () => {
-          await page.goto(url, { waitUntil: "networkidle0" });
-        });
+  await notifier.sendRunSummary({
+    mode: runMode,
+    runId: checkpoint ? checkpoint.runId : null,
+    date: today,
+    error: runError,
+    processed: runChanges.length,
+    failed: runChanges.filter(isFailedChange).map((change) => ({ label: labelListing(change.url), error: change.error || null, status: change.status || null })),
+    changes: adjusted.map((change) => ({ label: labelListing(change.url), minPrice: change.minPrice, basePrice: change.basePrice, status: change.status || null })),
+    skipped: skippedListings.map(({ url, reason }) => ({ label: labelListing(url), reason })),
+    paused: pausedListings.map(labelListing),
+    clamps: runChanges.flatMap((change) => (change.clamps || []).map((clamp) => ({ label: labelListing(change.url), ...clamp }))),
+    warnings: runWarnings.map(({ url, warning }) => ({ label: labelListing(url), warning })),
+    decreaseStreaks
+  });
+}
 
-        // Wait for content to load
-        await wait(page, 3000); // Using our compatible wait function
-
-        // Record occupancy rates
-        let occupancyRates = {};
-        try {
-          await page.waitForSelector(SELECTORS.OCCUPANCY_RATES, {
-            visible: true,
-            timeout: 10000,
-          });
-          occupancyRates = await page.evaluate((selector) => {
-            const elements = document.querySelectorAll(selector);
-
-            if (!elements || elements.length === 0) return {};
-
-            // Get text from all occupancy rate elements and convert to decimals
-            const occupancyData = {};
-
-            // Helper function to convert percentage string to decimal
-            const percentToDecimal = (percentStr) => {
-              if (!percentStr || percentStr === "N/A") return null;
-              const match = percentStr.match(/(\d+(\.\d+)?)%?/);
-              if (!match) return null;
-              return parseFloat(match[1]) / 100; // Convert to decimal
-            };
-
-            // Check if we have at least one element
-            if (elements.length >= 1) {
-              occupancyData["7_day_occ"] = elements[0] 
-                ? percentToDecimal(elements[0].textContent)
-                : null;
-              occupancyData["30_day_occ"] = elements[1]
-                ? percentToDecimal(elements[1].textContent)
-                : null;
-              occupancyData["60_day_occ"] = elements[2]
-                ? percentToDecimal(elements[2].textContent)
-                : null;
-            }
-
-            return occupancyData;
-          }, SELECTORS.OCCUPANCY_RATES);
-        } catch (error) {
-          occupancyRates = {
-            "7_day_occ": null,
-            "30_day_occ": null,
-            "60_day_occ": null,
-          };
-        }
+/**
+ * Print the dry-run proposals as a table and write them to the report file
+ * @param {string} reportFile - Path to the dry-run report file
+ * @param {Array} proposals - Proposed changes recorded during the dry run
+ */
+async function saveDryRunReport(reportFile, proposals) {
+  const formatOcc = (rate) => rate === null || rate === undefined
+    ? "N/A"
+    : `${(rate * 100).toFixed(1)}%`;
+
+  console.log("\nDry-run report (no changes were made in PriceLabs):");
+  console.table(proposals.map((proposal) => proposal.error
+    ? { url: proposal.url, error: proposal.error }
+    : {
+      url: proposal.url,
+      "7d occ": formatOcc(proposal.occupancy["7_day_occ"]),
+      "30d occ": formatOcc(proposal.occupancy["30_day_occ"]),
+      "60d occ": formatOcc(proposal.occupancy["60_day_occ"]),
+      min: `${proposal.minPrice.before} → ${proposal.minPrice.proposed}`,
+      base: `${proposal.basePrice.before} → ${proposal.basePrice.proposed}`
+    }
+  ));
+
+  await fs.writeFile(
+    reportFile,
+    JSON.stringify({ date: today, dryRun: true, proposals }, null, 2),
+    "utf8"
+  );
+  console.log(`Dry-run report saved to ${reportFile}`);
+}
 
-        console.log("Occupancy rates:", {
-          "7_day": occupancyRates["7_day_occ"] ? (occupancyRates["7_day_occ"] * 100).toFixed(2) + "%" : "N/A",
-          "30_day": occupancyRates["30_day_occ"] ? (occupancyRates["30_day_occ"] * 100).toFixed(2) + "%" : "N/A",
-          "60_day": occupancyRates["60_day_occ"] ? (occupancyRates["60_day_occ"] * 100).toFixed(2) + "%" : "N/A"
-        });
+/**
+ * Apply the approved entries of a reviewed change plan. Entries whose live
+ * prices no longer match the plan's "before" values are refused.
+ * @param {Object} page - Puppeteer page object
+ */
+async function applyApprovedPlan(page) {
+  const startedAt = new Date();
+  const plan = await loadPlan(planFile);
+  const approvedEntries = getApprovedEntries(plan);
+  const pricingPage = new PricingPage(page);
+
+  // Stop before touching anything if the pricing page markup has changed
+  if (approvedEntries.length > 0) {
+    await pricingPage.open(approvedEntries[0].url);
+    await assertSelectors(page, "pricing");
+  }
 
-        // Get and adjust min price
-        let minPrice = 0;
-        let newMinPrice = 0;
-
-        try {
-          await page.waitForSelector(SELECTORS.MIN_PRICE_INPUT, {
-            visible: true,
-            timeout: 10000
-          });
-
-          minPrice = await page.evaluate((selector) => {
-            const input = document.querySelector(selector);
-            return input ? parseFloat(input.value) : 0;
-          }, SELECTORS.MIN_PRICE_INPUT);
-
-          // Calculate new price
-          newMinPrice = calculatePriceAdjustment(url, minPrice, occupancyRates, "min");
-
-          // Apply the new price if it's different
-          if (newMinPrice !== minPrice) {
-            console.log(`Changing min price from ${minPrice} to ${newMinPrice}`);
-            
-            // More robust approach for setting input values
-            try {
-              // First try using page.type which simulates actual typing
-              await page.click(SELECTORS.MIN_PRICE_INPUT, { clickCount: 3 }); // Select all text
-              await page.keyboard.press('Backspace'); // Clear the field
-              await page.type(SELECTORS.MIN_PRICE_INPUT, newMinPrice.toString());
-              
-              // Verify the change was applied
-              const actualValue = await page.evaluate((selector) => {
-                return document.querySelector(selector).value;
-              }, SELECTORS.MIN_PRICE_INPUT);
-              
-              console.log(`Min price input field now contains: ${actualValue}`);
-              
-              if (parseFloat(actualValue) !== newMinPrice) {
-                console.log(`Warning: Min price field contains ${actualValue} instead of expected ${newMinPrice}`);
-                
-                // Fallback to JavaScript approach if the type method didn't work
-                await page.evaluate(
-                  (selector, newValue) => {
-                    const input = document.querySelector(selector);
-                    if (input) {
-                      input.value = "";
-                      input.value = newValue;
-                      input.dispatchEvent(new Event("input", { bubbles: true }));
-                      input.dispatchEvent(new Event("change", { bubbles: true }));
-                      input.dispatchEvent(new Event("blur", { bubbles: true }));
-                      console.log("Used JS fallback to set min price field");
-                    }
-                  },
-                  SELECTORS.MIN_PRICE_INPUT,
-                  newMinPrice
-                );
-              }
-            } catch (inputError) {
-              console.error("Error setting min price input:", inputError.message);
-              
-              // Last resort fallback
-              await page.evaluate(
-                (selector, newValue) => {
-                  const input = document.querySelector(selector);
-                  if (input) {
-                    input.value = newValue;
-                    input.dispatchEvent(new Event("change", { bubbles: true }));
-                  }
-                },
-                SELECTORS.MIN_PRICE_INPUT,
-                newMinPrice
-              );
-            }
-          } else {
-            console.log(`Min price remains unchanged at ${minPrice}`);
-            // Record this as a UI-only change for logging
-            hasUiOnlyChanges = true;
-          }
-        } catch (error) {
-          console.log("Could not update min price:", error.message);
-        }
+  console.log(`Applying ${approvedEntries.length} approved entries from ${planFile} (${plan.entries.length} in plan)`);
+
+  for (let i = 0; i < approvedEntries.length; i++) {
+    const entry = approvedEntries[i];
+    console.log(`Applying plan entry ${i + 1}/${approvedEntries.length}: ${entry.url}`);
 
-        // Get and adjust base price
-        let basePrice = 0;
-        let newBasePrice = 0;
-
-        try {
-          await page.waitForSelector(SELECTORS.BASE_PRICE_INPUT, {
-            visible: true,
-            timeout: 10000
-          });
-
-          basePrice = await page.evaluate((selector) => {
-            const input = document.querySelector(selector);
-            return input ? parseFloat(input.value) : 0;
-          }, SELECTORS.BASE_PRICE_INPUT);
-
-          // Calculate new price
-          newBasePrice = calculatePriceAdjustment(url, basePrice, occupancyRates, "base");
-
-          // Apply the new price if it's different
-          if (newBasePrice !== basePrice) {
-            console.log(`Changing base price from ${basePrice} to ${newBasePrice}`);
-            
-            // More robust approach for setting input values
-            try {
-              // First try using page.type which simulates actual typing
-              await page.click(SELECTORS.BASE_PRICE_INPUT, { clickCount: 3 }); // Select all text
-              await page.keyboard.press('Backspace'); // Clear the field
-              await page.type(SELECTORS.BASE_PRICE_INPUT, newBasePrice.toString());
-              
-              // Verify the change was applied
-              const actualValue = await page.evaluate((selector) => {
-                return document.querySelector(selector).value;
-              }, SELECTORS.BASE_PRICE_INPUT);
-              
-              console.log(`Base price input field now contains: ${actualValue}`);
-              
-              if (parseFloat(actualValue) !== newBasePrice) {
-                console.log(`Warning: Base price field contains ${actualValue} instead of expected ${newBasePrice}`);
-                
-                // Fallback to JavaScript approach if the type method didn't work
-                await page.evaluate(
-                  (selector, newValue) => {
-                    const input = document.querySelector(selector);
-                    if (input) {
-                      input.value = "";
-                      input.value = newValue;
-                      input.dispatchEvent(new Event("input", { bubbles: true }));
-                      input.dispatchEvent(new Event("change", { bubbles: true }));
-                      input.dispatchEvent(new Event("blur", { bubbles: true }));
-                      console.log("Used JS fallback to set base price field");
-                    }
-                  },
-                  SELECTORS.BASE_PRICE_INPUT,
-                  newBasePrice
-                );
-              }
-            } catch (inputError) {
-              console.error("Error setting base price input:", inputError.message);
-              
-              // Last resort fallback
-              await page.evaluate(
-                (selector, newValue) => {
-                  const input = document.querySelector(selector);
-                  if (input) {
-                    input.value = newValue;
-                    input.dispatchEvent(new Event("change", { bubbles: true }));
-                  }
-                },
-                SELECTORS.BASE_PRICE_INPUT,
-                newBasePrice
-              );
-            }
-          } else {
-            console.log(`Base price remains unchanged at ${basePrice}`);
-            // Record this as a UI-only change for logging
-            hasUiOnlyChanges = true;
-          }
-        } catch (error) {
-          console.log("Could not update base price:", error.message);
+    // Paused and filtered out listings are left alone here too
+    const listingName = (listingRegistry.listings[getListingId(entry.url)] || {}).name;
+    const { paused, excluded } = applyListingFilter([describeListing(config, entry.url, listingName)], listingFilter);
+    if (paused.length > 0 || excluded.length > 0) {
+      const reason = paused.length > 0 ? "Listing is paused" : `Listing ${excluded[0].reason}`;
+      console.log(`  Refusing to apply entry: ${reason}`);
+      entry.result = { status: "refused", reason };
+      continue;
+    }
+
+    try {
+      await pricingPage.open(entry.url);
+
+      // Re-check the live prices before touching anything
+      const liveMinPrice = await pricingPage.readPrice("min");
+      const liveBasePrice = await pricingPage.readPrice("base");
+
+      checkLivePrice(entry.url, liveMinPrice, "min");
+      checkLivePrice(entry.url, liveBasePrice, "base");
+
+      // Edited values must still respect the hard price limits
+      const limitViolation = pricingStrategy.checkPriceLimits(entry.url, entry.minPrice.after, "min") ||
+        pricingStrategy.checkPriceLimits(entry.url, entry.basePrice.after, "base");
+
+      // A regular run may have adjusted the listing since the plan was made
+      const intervalReason = force ? null : pricingStrategy.checkAdjustmentInterval(entry.url);
+
+      if (liveMinPrice !== entry.minPrice.before || liveBasePrice !== entry.basePrice.before) {
+        const reason = `Live prices (min ${liveMinPrice}, base ${liveBasePrice}) no longer match the plan (min ${entry.minPrice.before}, base ${entry.basePrice.before})`;
+        console.log(`  Refusing to apply entry: ${reason}`);
+        entry.result = { status: "refused", reason };
+      } else if (limitViolation) {
+        const reason = `Planned ${limitViolation}`;
+        console.log(`  Refusing to apply entry: ${reason}`);
+        entry.result = { status: "refused", reason };
+      } else if (intervalReason) {
+        const reason = `Listing was ${intervalReason}`;
+        console.log(`  Refusing to apply entry: ${reason} (use --force to apply it anyway)`);
+        entry.result = { status: "refused", reason };
+        skippedListings.push({ url: entry.url, reason: intervalReason });
+      } else {
+        if (entry.minPrice.after !== liveMinPrice) {
+          console.log(`Changing min price from ${liveMinPrice} to ${entry.minPrice.after}`);
+          await pricingPage.setPrice("min", entry.minPrice.after);
+        }
+        if (entry.basePrice.after !== liveBasePrice) {
+          console.log(`Changing base price from ${liveBasePrice} to ${entry.basePrice.after}`);
+          await pricingPage.setPrice("base", entry.basePrice.after);
         }
 
-        await page.waitForSelector(SELECTORS.SAVE_BUTTON, {
-          visible: true,
-          timeout: 10000
+        await pricingPage.saveAndSync();
+
+        // Confirm PriceLabs kept the new prices
+        const verification = await verifySavedPrices(pricingPage, entry.url, entry.minPrice, entry.basePrice);
+
+        entry.result = verification.status === "applied"
+          ? { status: "applied" }
+          : { status: "error", reason: `Saved prices ${verification.status} (min ${verification.verifiedPrices.min}, base ${verification.verifiedPrices.base})` };
+        changes.push({
+          url: entry.url,
+          listingId: getListingId(entry.url),
+          date: today,
+          occupancy: entry.occupancy,
+          configProfile: entry.configProfile,
+          minPrice: { ...entry.minPrice },
+          basePrice: { ...entry.basePrice },
+          ...verification
         });
-        await Promise.all([
-          page.click(SELECTORS.SAVE_BUTTON)
-        ]);
-        await wait(page, 2000);
+      }
+    } catch (error) {
+      console.error(`Error applying plan entry ${entry.url}:`, error.message);
+      entry.result = { status: "error", reason: error.message };
+      changes.push({
+        url: entry.url,
+        listingId: getListingId(entry.url),
+        date: today,
+        error: error.message
+      });
+    }
 
+    // Brief pause between properties
+    await wait(page, politenessDelayMs);
+  }
 
-        const buttons = await page.$$("button");
+  // Mark the plan as applied so it cannot be pushed a second time
+  plan.appliedAt = new Date().toISOString();
+  await savePlan(planFile, plan);
 
-        if (buttons.length > 0) {
+  const applied = approvedEntries.filter((entry) => entry.result.status === "applied").length;
+  const refused = approvedEntries.filter((entry) => entry.result.status === "refused").length;
+  console.log(`Plan applied: ${applied} applied, ${refused} refused, ${approvedEntries.length - applied - refused} failed`);
+  printRunSummary(changes);
+  process.exitCode = getRunExitCode(changes);
 
+  if (changes.length > 0) {
+    const finishedAt = new Date().toISOString();
+    await recordRun({ runId: createRunId(startedAt), mode: "apply-plan", startedAt: startedAt.toISOString(), finishedAt }, changes);
+  }
+}
 
-          // Loop through buttons and get their text content
-          for (const button of buttons) {
-            const text = await button.evaluate((el) => el.textContent.trim());
+/**
+ * Read the upcoming nights from the calendar of the open pricing page, hand them
+ * to the strategy and (except in dry runs) store them as the day's snapshot
+ * @param {PricingPage} pricingPage - Page object showing the property's calendar
+ * @param {string} url - URL of the property
+ */
+async function captureCalendar(pricingPage, url) {
+  try {
+    const nights = selectUpcomingNights(await pricingPage.readCalendar(), today, calendarConfig.nights);
+    if (nights.length === 0) {
+      console.log("No calendar nights found on the pricing page");
+      return;
+    }
 
-            // Optionally click or do something with each button
-            // await button.click();
-            if (text === "Ignore Recommendation") {
-              console.log("Modal found, ignoring recommendation");
-              await button.click();
-              await wait(page, 10000);
-            }
+    // The latest snapshot of an earlier day gives the pickup since then
+    const listingId = getListingId(url);
+    const previous = await loadLatestCalendarSnapshot(calendarConfig.snapshotDir, listingId, today);
+    pricingStrategy.setCalendar(url, nights, previous);
+    console.log(`Calendar: ${nights.filter((night) => night.booked).length} of the next ${nights.length} nights booked`);
 
-          }
+    if (!dryRun) {
+      await saveCalendarSnapshot(calendarConfig.snapshotDir, listingId, today, nights, { runId: checkpoint.runId });
+    }
+  } catch (error) {
+    console.log("Could not read the calendar:", error.message);
+  }
+}
 
-          
-        } else {
-          console.log("No buttons found on the page.");
-        }
+/**
+ * Read a property's occupancy and prices, adjust them and (unless dry-running)
+ * save, sync and verify the new prices when they changed
+ * @param {PricingPage} pricingPage - Page object on the worker page to use
+ * @param {string} url - URL of the property
+ * @param {boolean} [paused] - Only record the occupancy of the property
+ * @returns {Promise<Object>} - Change (or proposal) to record, or an entry with the error
+ */
+async function processProperty(pricingPage, url, paused = false) {
+  try {
+    // Navigate to property page (with its calendar open, to read the upcoming nights)
+    await pricingPage.open(calendarConfig.enabled ? getCalendarUrl(url) : url);
 
-        if (buttons.length > 0) {
+    // Record occupancy rates
+    const occupancyRates = await pricingPage.readOccupancy();
+
+    console.log("Occupancy rates:", {
+      "7_day": occupancyRates["7_day_occ"] ? (occupancyRates["7_day_occ"] * 100).toFixed(2) + "%" : "N/A",
+      "30_day": occupancyRates["30_day_occ"] ? (occupancyRates["30_day_occ"] * 100).toFixed(2) + "%" : "N/A",
+      "60_day": occupancyRates["60_day_occ"] ? (occupancyRates["60_day_occ"] * 100).toFixed(2) + "%" : "N/A"
+    });
+
+    if (calendarConfig.enabled) {
+      await captureCalendar(pricingPage, url);
+    }
 
+    // A paused listing keeps its prices; only its occupancy goes into the log
+    if (paused) {
+      const record = {
+        url,
+        listingId: getListingId(url),
+        date: today,
+        runId: checkpoint.runId,
+        occupancy: occupancyRates,
+        configProfile: pricingStrategy.getConfigProfile(url),
+        paused: true
+      };
+      markCompleted(checkpoint, record);
+      await queueCheckpointSave();
+      return record;
+    }
 
-          // Loop through buttons and get their text content
-          for (const button of buttons) {
-            const text = await button.evaluate((el) => el.textContent.trim());
+    // Get and adjust min price
+    let minPrice = 0;
+    let newMinPrice = 0;
 
-            // Optionally click or do something with each button
-            // await button.click();
-            if (text === "Sync Now") {
-              console.log("Sync button found, clicking");
-              await button.click();
-              await wait(page, 10000);
-            }
+    try {
+      minPrice = await pricingPage.readPrice("min");
+      checkLivePrice(url, minPrice, "min");
 
-          }
+      // Calculate new price
+      newMinPrice = calculatePriceAdjustment(url, minPrice, occupancyRates, "min");
 
-          
+      // Apply the new price if it's different
+      if (newMinPrice !== minPrice) {
+        if (dryRun) {
+          console.log(`[dry-run] Would change min price from ${minPrice} to ${newMinPrice}`);
         } else {
-          console.log("No buttons found on the page.");
+          console.log(`Changing min price from ${minPrice} to ${newMinPrice}`);
+          await pricingPage.setPrice("min", newMinPrice);
         }
+      } else {
+        console.log(`Min price remains unchanged at ${minPrice}`);
+      }
+    } catch (error) {
+      console.log("Could not update min price:", error.message);
+    }
 
+    // Get and adjust base price
+    let basePrice = 0;
+    let newBasePrice = 0;
 
+    try {
+      basePrice = await pricingPage.readPrice("base");
+      checkLivePrice(url, basePrice, "base");
 
-        
+      // Calculate new price
+      newBasePrice = calculatePriceAdjustment(url, basePrice, occupancyRates, "base");
 
-        // Record the change
-        changes.push({
-          url,
-          date: today,
-          occupancy: occupancyRates,
-          minPrice: {
-            before: minPrice,
-            after: newMinPrice
-          },
-          basePrice: {
-            before: basePrice,
-            after: newBasePrice
-          }
-        });
-
-        // Only if we've made actual changes, attempt to save them
-        if (minPrice !== newMinPrice || basePrice !== newBasePrice) {
-          try {
-            await page.waitForSelector(SELECTORS.SAVE_BUTTON, {
-              visible: true,
-              timeout: 10000
-            });
-            await Promise.all([
-              page.click(SELECTORS.SAVE_BUTTON)
-            ]);
-            await wait(page, 2000);
-          } catch (error) {
-            console.error("Failed to save changes:", error.message);
-          }
+      // Apply the new price if it's different
+      if (newBasePrice !== basePrice) {
+        if (dryRun) {
+          console.log(`[dry-run] Would change base price from ${basePrice} to ${newBasePrice}`);
+        } else {
+          console.log(`Changing base price from ${basePrice} to ${newBasePrice}`);
+          await pricingPage.setPrice("base", newBasePrice);
         }
-      } catch (error) {
-        console.error(`Error processing property ${url}:`, error.message);
-        // Add to changes log even if there was an error
-        changes.push({
-          url,
-          date: today,
-          error: error.message
-        });
+      } else {
+        console.log(`Base price remains unchanged at ${basePrice}`);
       }
+    } catch (error) {
+      console.log("Could not update base price:", error.message);
+    }
 
-      // Brief pause between properties
-      await wait(page, 2000); // Using our compatible wait function
+    // In dry-run mode, record the proposal and leave the page untouched
+    if (dryRun) {
+      return {
+        url,
+        listingId: getListingId(url),
+        date: today,
+        occupancy: occupancyRates,
+        configProfile: pricingStrategy.getConfigProfile(url),
+        minPrice: {
+          before: minPrice,
+          proposed: newMinPrice
+        },
+        basePrice: {
+          before: basePrice,
+          proposed: newBasePrice
+        },
+        clamps: pricingStrategy.getClamps(url)
+      };
     }
 
-    // Near the end where we save the changes to file:
+    // Record the change
+    const change = {
+      url,
+      listingId: getListingId(url),
+      date: today,
+      runId: checkpoint.runId,
+      occupancy: occupancyRates,
+      configProfile: pricingStrategy.getConfigProfile(url),
+      minPrice: {
+        before: minPrice,
+        after: newMinPrice
+      },
+      basePrice: {
+        before: basePrice,
+        after: newBasePrice
+      },
+      clamps: pricingStrategy.getClamps(url)
+    };
+
+    // Only if we've made actual changes, save and sync them once and check
+    // that PriceLabs kept them
+    if (minPrice !== newMinPrice || basePrice !== newBasePrice) {
+      try {
+        await pricingPage.saveAndSync();
+      } catch (error) {
+        console.error("Failed to save changes:", error.message);
+      }
 
-    /**
-     * Save changes to log file, preserving history
-     * @param {string} logFile - Path to the log file
-     * @param {Array} newChanges - New changes to append
-     */
-    async function saveChangesToLog(logFile, newChanges) {
-      let existingData = { lastRun: today, changes: [] };
-      
+      // A save that couldn't be checked is not counted as applied either
+      let verification;
       try {
-        // Check if log file exists
-        try {
-          await fs.access(logFile);
-          // File exists, read it
-          const fileContent = await fs.readFile(logFile, 'utf8');
-          existingData = JSON.parse(fileContent);
-        } catch (err) {
-          // File doesn't exist or can't be read, we'll create a new one
-          console.log(`No existing log file found at ${logFile}, creating new file`);
-        }
-        
-        // Update the lastRun date
-        existingData.lastRun = today;
-        
-        // Append new changes to existing changes
-        if (!Array.isArray(existingData.changes)) {
-          existingData.changes = [];
-        }
-        
-        // Add new changes to the beginning of the array (most recent first)
-        existingData.changes = [...newChanges, ...existingData.changes];
-        
-        // Optionally, limit the size of the history to prevent the file from growing too large
-        const maxHistoryEntries = 1000; // Adjust as needed
-        if (existingData.changes.length > maxHistoryEntries) {
-          existingData.changes = existingData.changes.slice(0, maxHistoryEntries);
-          console.log(`Trimmed change history to ${maxHistoryEntries} entries`);
-        }
-        
-        // Write updated data back to file
-        await fs.writeFile(
-          logFile,
-          JSON.stringify(existingData, null, 2),
-          'utf8'
-        );
-        
-        console.log(`Added ${newChanges.length} new entries to change history in ${logFile}`);
-        console.log(`Total entries in history: ${existingData.changes.length}`);
-        
+        verification = await verifySavedPrices(pricingPage, url, change.minPrice, change.basePrice);
       } catch (error) {
-        console.error('Error saving changes to log:', error);
-        
-        // Still try to save to a backup file if main save fails
-        try {
-          await fs.writeFile(
-            `${logFile}.backup-${today}`,
-            JSON.stringify({ lastRun: today, changes: newChanges }, null, 2),
-            'utf8'
-          );
-          console.log(`Saved backup of new changes to ${logFile}.backup-${today}`);
-        } catch (backupError) {
-          console.error('Failed to save backup file:', backupError);
-        }
+        console.error("Could not verify saved prices:", error.message);
+        verification = { status: "mismatch", verifiedPrices: { min: null, base: null }, verificationError: error.message };
       }
-      
-      return existingData;
+      Object.assign(change, verification);
     }
 
-    // Replace the original log-saving code with this:
+    // A resumed run skips this listing from now on
+    markCompleted(checkpoint, change);
+    await queueCheckpointSave();
+    return change;
+  } catch (error) {
+    console.error(`Error processing property ${url}:`, error.message);
+    // Add to changes log even if there was an error
+    return {
+      url,
+      listingId: getListingId(url),
+      date: today,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Main function to run the PriceLabs bot
+ */
+async function runBot() {
+  if (applyPlanMode) {
+    console.log(`Starting PriceLabs bot to apply the approved entries of ${planFile}...`);
+  } else if (planMode) {
+    console.log("Starting PriceLabs bot in plan mode (no changes will be saved)...");
+  } else if (resumeMode) {
+    console.log(`Starting PriceLabs bot to resume run ${checkpoint.runId}...`);
+  } else {
+    console.log(`Starting PriceLabs bot${dryRun ? " in dry-run mode (no changes will be saved)" : ""}...`);
+  }
+
+  if (checkpoint) {
+    await saveCheckpoint(checkpointFile, checkpoint);
+  }
+
+  // Launch browser
+  const browser = await launchBrowser();
+
+  try {
+    const page = await browser.newPage();
+
+    // Set default timeout
+    page.setDefaultTimeout(30000);
+
+    const dashboardPage = new DashboardPage(page);
+    const pricingPage = new PricingPage(page);
+
+    // PRICELABS_SIGNIN_URL can point the bot at the local fixture site
+    const loginPage = new LoginPage(page, { signinUrl: process.env.PRICELABS_SIGNIN_URL || undefined });
     try {
-      // First, let the strategy module save its changes
-      await pricingStrategy.saveChanges();
-      
-      // Then save our UI-based changes separately if either:
-      // 1. We have UI-specific changes, or
-      // 2. The file doesn't exist yet (to ensure we create it)
-      const fileExists = await fileExistsAsync(config.logFile);
-      
-      if ((hasUiOnlyChanges && changes.length > 0) || !fileExists) {
-        await saveChangesToLog(config.logFile, changes);
-        console.log(`${fileExists ? 'Additional UI-based changes' : 'Initial changes'} saved to ${config.logFile}`);
-      }
-      
-      console.log(`Processing complete. Results saved to ${config.logFile}`);
+      await loginPage.login(process.env.PRICELABS_EMAIL, process.env.PRICELABS_PASSWORD);
+      await dashboardPage.waitUntilLoaded();
     } catch (error) {
-      console.error('Bot encountered an error when saving logs:', error);
+      await notifier.sendAlert("login-failed", `The bot could not log in to PriceLabs, so the ${runMode} did not happen: ${error.message}`);
+      throw error;
     }
 
-    // Add this helper function to check if a file exists
-    async function fileExistsAsync(filePath) {
-      try {
-        await fs.access(filePath);
-        return true;
-      } catch {
-        return false;
+    if (applyPlanMode) {
+      await applyApprovedPlan(page);
+      return;
+    }
+
+    await assertSelectors(page, "dashboard");
+    const properties = await dashboardPage.getListings();
+
+    // Keep the registry of listing names, PMS and dashboard metrics up to date
+    updateListingRegistry(listingRegistry, properties, today);
+    await saveListingRegistry(listingRegistryFile, listingRegistry);
+    console.log(`Listing registry ${listingRegistryFile} updated with ${properties.length} listings`);
+
+    // Apply the listing filter right away, so filtered out listings are never opened
+    const { paused, excluded } = applyListingFilter(
+      properties.map((property) => describeListing(config, property.url, property.name)),
+      listingFilter
+    );
+    for (const { listing, reason } of excluded) {
+      console.log(`Leaving out ${listing.name || listing.id}: ${reason}`);
+    }
+    const excludedUrls = new Set(excluded.map(({ listing }) => listing.url));
+    const pausedUrls = new Set(paused.map((listing) => listing.url));
+    const propertyLinks = properties.map((property) => property.url).filter((url) => !excludedUrls.has(url));
+
+    console.log(`Found ${properties.length} properties, ${propertyLinks.length} to process (${paused.length} paused)`);
+
+    // Stop before processing every property blind if the pricing page markup has changed
+    if (propertyLinks.length > 0) {
+      await pricingPage.open(propertyLinks[0]);
+      await assertSelectors(page, "pricing");
+    }
+
+    // Leave out the listings a resumed run already finished and the ones adjusted too recently
+    const pendingLinks = [];
+    for (let i = 0; i < propertyLinks.length; i++) {
+      const url = propertyLinks[i];
+
+      if (checkpoint && checkpoint.completed.includes(getListingId(url))) {
+        console.log(`Skipping property ${i + 1}/${propertyLinks.length}: ${url} (done before the run was interrupted)`);
+        continue;
+      }
+
+      // Paused listings are only visited to record their occupancy, which a dry run doesn't keep
+      if (pausedUrls.has(url)) {
+        pausedListings.push(url);
+        if (!dryRun) {
+          pendingLinks.push(url);
+        }
+        continue;
       }
+
+      // Never compound a second adjustment on top of a recent one
+      const intervalReason = force ? null : pricingStrategy.checkAdjustmentInterval(url);
+      if (intervalReason) {
+        console.log(`Skipping property ${i + 1}/${propertyLinks.length}: ${url} (${intervalReason})`);
+        skippedListings.push({ url, reason: intervalReason });
+        continue;
+      }
+
+      pendingLinks.push(url);
+    }
+
+    // Process the properties on a pool of pages; results are kept in property order
+    console.log(`Processing ${pendingLinks.length} properties on up to ${concurrency} pages`);
+    const results = [];
+    try {
+      await runWithPagePool(browser, pendingLinks, poolOptions, async (workerPage, url, index) => {
+        console.log(`Processing property ${index + 1}/${pendingLinks.length}: ${url}`);
+        results[index] = await processProperty(new PricingPage(workerPage), url, pausedUrls.has(url));
+      });
+    } finally {
+      changes.push(...results.filter(Boolean));
+    }
+
+    printRunSummary(changes);
+    process.exitCode = getRunExitCode(changes);
+
+    // A dry run only writes its own report (or the plan to review); the change
+    // log and strategy history are left untouched so the next real run is not affected
+    if (planMode) {
+      await savePlan(planFile, createPlan(changes, today));
+      console.log(`Change plan with ${changes.length} entries saved to ${planFile}`);
+      console.log("Approve entries in the plan, then run with --apply-plan to push them to PriceLabs");
+      return;
+    }
+    if (dryRun) {
+      await saveDryRunReport(dryRunReportFile, changes);
+      return;
+    }
+
+    // Record the run; if that fails, the checkpoint stays unfinished so --resume can record it
+    try {
+      const finishedAt = new Date().toISOString();
+      await recordRun({ runId: checkpoint.runId, mode: "run", startedAt: checkpoint.startedAt, finishedAt }, changes);
+      checkpoint.finishedAt = finishedAt;
+      await queueCheckpointSave();
+      console.log("Processing complete");
+    } catch (error) {
+      console.error(`Bot encountered an error when recording the run in ${ledgerFile}:`, error);
+      process.exitCode = EXIT_FATAL;
+      runError = `Could not record the run: ${error.message}`;
+      console.log(`Run ${checkpoint.runId} can be recorded with --resume`);
     }
   } catch (error) {
     console.error("Bot encountered an error:", error);
+    process.exitCode = EXIT_FATAL;
+    runError = error.message;
 
     // Still try to save any changes that were recorded
-    if (changes.length > 0) {
+    if (planMode && changes.length > 0) {
       try {
-        await fs.writeFile(
-          `${config.logFile}.partial`,
-          JSON.stringify({ lastRun: today, changes }, null, 2),
-          "utf8"
-        );
-        console.log(`Partial results saved to ${config.logFile}.partial`);
+        await savePlan(planFile, createPlan(changes, today));
+        console.log(`Partial change plan saved to ${planFile}`);
       } catch (saveError) {
-        console.error("Failed to save partial results:", saveError);
+        console.error("Failed to save partial change plan:", saveError);
       }
+    } else if (dryRun && changes.length > 0) {
+      try {
+        await saveDryRunReport(dryRunReportFile, changes);
+      } catch (saveError) {
+        console.error("Failed to save dry-run report:", saveError);
+      }
+    } else if (checkpoint && changes.length > 0) {
+      // Record what was pushed so far; resuming the run records it again in full
+      try {
+        await recordRun({ runId: checkpoint.runId, mode: "run", startedAt: checkpoint.startedAt, finishedAt: null, interrupted: true }, changes);
+      } catch (saveError) {
+        console.error(`Failed to record the interrupted run in ${ledgerFile}:`, saveError);
+      }
+    }
+
+    if (checkpoint) {
+      console.log(`Run ${checkpoint.runId} can be continued with --resume`);
     }
   } finally {
     await browser.close();
@@ -620,5 +967,12 @@ async function runBot() {
   }
 }
 
-// Run the bot
-runBot().catch(console.error);
+// Run the bot, send its summary, then let the next run start
+runBot()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = EXIT_FATAL;
+    runError = error.message;
+  })
+  .then(() => notifyRunSummary(changes))
+  .finally(() => releaseLock(lockFile));
@@ -0,0 +1,199 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Append-only run ledger: the bot's single record of what it did, one JSON
+ * record per line (JSONL). Every run appends, in a single write,
+ *
+ *   {"type":"run", "runId", "mode", "date", "startedAt", "finishedAt", "configHash", "strategyVersion", "changes"}
+ *
+ * followed by one {"type":"change", "runId", "configHash", "strategyVersion", ...} record
+ * per listing it visited. A run that is appended again under the same run ID
+ * (an interrupted run that was resumed) replaces the records appended before.
+ * migrate-log.js adds a {"type":"migration"} record for each legacy change log it imported.
+ */
+
+// Ledger used when config.json does not name one
+export const DEFAULT_LEDGER_FILE = "pricelabs_ledger.jsonl";
+
+const LINE_END = "\n";
+
+/**
+ * Hash a configuration, so ledger records show which settings produced them
+ * @param {Object} config - Configuration object
+ * @returns {string} - First 12 hex digits of the SHA-256 of the config
+ */
+export function hashConfig(config) {
+  return crypto.createHash("sha256").update(JSON.stringify(config)).digest("hex").slice(0, 12);
+}
+
+/**
+ * Read all records of a ledger, skipping lines that don't parse (e.g. a line
+ * torn by a crash while appending)
+ * @param {string} ledgerFile - Path to the ledger
+ * @returns {Promise<Array<Object>>} - Records in ledger order; empty if there is no ledger yet
+ */
+export async function readLedgerRecords(ledgerFile) {
+  let raw;
+  try {
+    raw = await fs.readFile(ledgerFile, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const records = [];
+  raw.split(LINE_END).forEach((line, index) => {
+    if (line.trim() === "") return;
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      console.error(`Skipping unreadable line ${index + 1} of ${ledgerFile}: ${error.message}`);
+    }
+  });
+  return records;
+}
+
+/**
+ * Read a ledger into its runs, with the changes of each run
+ * @param {string} ledgerFile - Path to the ledger
+ * @returns {Promise<{runs: Array<Object>, migrations: Array<Object>}>} - Runs in ledger order
+ *   ({ ...run record, changes: [change records] }) and migration records
+ */
+export async function readLedger(ledgerFile) {
+  const runs = new Map();
+  const migrations = [];
+  let currentRun = null;
+
+  for (const record of await readLedgerRecords(ledgerFile)) {
+    switch (record.type) {
+    case "run":
+      // A run appended again replaces its earlier records, and moves to its new place
+      runs.delete(record.runId);
+      currentRun = { ...record, changes: [] };
+      runs.set(record.runId, currentRun);
+      break;
+    case "change":
+      if (currentRun && record.runId === currentRun.runId) {
+        currentRun.changes.push(record);
+      } else {
+        console.error(`Skipping change of ${record.url} in ${ledgerFile}: it doesn't follow its run record`);
+      }
+      break;
+    case "migration":
+      migrations.push(record);
+      break;
+    default:
+      console.error(`Skipping record of unknown type "${record.type}" in ${ledgerFile}`);
+    }
+  }
+
+  return { runs: [...runs.values()], migrations };
+}
+
+/**
+ * Load the change history of a ledger in the shape PricingStrategyCore.loadLogs()
+ * takes: runs ({ runId, lastRun, changes }), newest first
+ * @param {string} ledgerFile - Path to the ledger
+ * @returns {Promise<Array<Object>>} - Runs, newest first; empty if there is no ledger yet
+ */
+export async function loadLedgerHistory(ledgerFile) {
+  const { runs } = await readLedger(ledgerFile);
+
+  // Ledger order within a day; migrated history may come after newer runs
+  const byDate = [...runs].sort((a, b) => a.date.localeCompare(b.date)).reverse();
+  return byDate.map((run) => ({
+    runId: run.runId,
+    lastRun: run.date,
+    changes: run.changes.map((record) => {
+      const change = { ...record };
+      delete change.type;
+      return change;
+    })
+  }));
+}
+
+/**
+ * Append a run and its changes to the ledger in a single write
+ * @param {string} ledgerFile - Path to the ledger
+ * @param {Object} run - Run ({ runId, mode, date, startedAt, finishedAt, configHash, strategyVersion })
+ * @param {Array<Object>} changes - Changes of the run, one per listing; a change may
+ *   carry its own strategyVersion (the listing's strategy plugin)
+ * @returns {Promise<void>}
+ */
+export async function appendRun(ledgerFile, run, changes) {
+  const stamp = { runId: run.runId, configHash: run.configHash, strategyVersion: run.strategyVersion };
+  const records = [
+    { type: "run", ...run, changes: changes.length },
+    ...changes.map((change) => ({ type: "change", ...change, ...stamp, strategyVersion: change.strategyVersion || run.strategyVersion }))
+  ];
+  await appendRecords(ledgerFile, records);
+}
+
+/**
+ * Append records to the ledger in one write and flush it to disk. If the last
+ * append was torn by a crash, the new records start on a line of their own.
+ * @param {string} ledgerFile - Path to the ledger
+ * @param {Array<Object>} records - Records to append
+ * @returns {Promise<void>}
+ */
+export async function appendRecords(ledgerFile, records) {
+  const handle = await fs.open(ledgerFile, "a+");
+  try {
+    const { size } = await handle.stat();
+    let prefix = "";
+    if (size > 0) {
+      const lastByte = Buffer.alloc(1);
+      await handle.read(lastByte, 0, 1, size - 1);
+      prefix = lastByte.toString() === LINE_END ? "" : LINE_END;
+    }
+
+    await handle.write(prefix + records.map((record) => JSON.stringify(record) + LINE_END).join(""));
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Replace a file's content atomically: write a temporary file next to it, then rename
+ * @param {string} file - Path to the file
+ * @param {string} content - New content
+ * @returns {Promise<void>}
+ */
+export async function writeFileAtomic(file, content) {
+  const tempFile = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+  const handle = await fs.open(tempFile, "w");
+  try {
+    await handle.write(content);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.rename(tempFile, file);
+}
+
+/**
+ * Refuse to run while a legacy JSON change log hasn't been imported into the
+ * ledger: the strategy would lose the history its caps are based on
+ * @param {string} ledgerFile - Path to the ledger
+ * @param {string} legacyLogFile - Path to the legacy change log (config.logFile)
+ * @returns {Promise<void>}
+ * @throws {Error} - If the legacy log exists and no migration record names it
+ */
+export async function checkLegacyLogImported(ledgerFile, legacyLogFile) {
+  try {
+    await fs.access(legacyLogFile);
+  } catch {
+    return;
+  }
+
+  const { migrations } = await readLedger(ledgerFile);
+  // Migration records hold absolute paths (records from before that are resolved from here)
+  const legacyLogPath = path.resolve(legacyLogFile);
+  const imported = migrations.some((migration) => migration.sources.some((source) => path.resolve(source) === legacyLogPath));
+  if (!imported) {
+    throw new Error(`The change log ${legacyLogFile} has not been imported into ${ledgerFile} yet. Run "bun run migrate-log" once to import it`);
+  }
+}
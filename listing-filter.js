@@ -0,0 +1,146 @@
+import { getListingId, getPmsName } from "./listing.js";
+import { resolvePropertyConfig } from "./property-config.js";
+
+/**
+ * Selection of the listings a run works on.
+ *
+ * Filters are strings of the form "<type>:<value>":
+ *
+ *   id:12345        listing ID (a bare "12345" means the same)
+ *   pms:airbnb      PMS name (the "pms_name" parameter of the pricing URL)
+ *   tag:beachfront  member of a group, by its "listings" or the property's "tags"
+ *   name:^Ocean     listing name matching a regular expression (case-insensitive)
+ *
+ * "include" keeps only listings matching any of its filters (all listings when
+ * empty), "exclude" drops the matching ones, and "paused" listings are visited
+ * but never adjusted.
+ */
+
+const FILTER_TYPES = ["id", "pms", "tag", "name"];
+
+/**
+ * Parse a listing filter
+ * @param {string} text - Filter, e.g. "tag:beachfront" or "12345"
+ * @returns {{type: string, value: string, pattern: RegExp|null, text: string}} - Parsed filter
+ * @throws {Error} - On an unknown filter type, an empty value or an invalid name pattern
+ */
+export function parseListingFilter(text) {
+  const separator = text.indexOf(":");
+  const type = separator === -1 ? "id" : text.slice(0, separator);
+  const value = separator === -1 ? text : text.slice(separator + 1);
+
+  if (!FILTER_TYPES.includes(type)) {
+    throw new Error(`Unknown listing filter "${text}" (expected ${FILTER_TYPES.map((name) => `${name}:`).join(", ")} or a listing ID)`);
+  }
+  if (value === "") {
+    throw new Error(`Listing filter "${text}" has no value`);
+  }
+
+  let pattern = null;
+  if (type === "name") {
+    try {
+      pattern = new RegExp(value, "i");
+    } catch (error) {
+      throw new Error(`Listing filter "${text}" is not a valid pattern: ${error.message}`);
+    }
+  }
+
+  return { type, value, pattern, text };
+}
+
+/**
+ * Combine the configured filters with the ones given on the command line.
+ * Command line includes replace the configured ones; excludes are added to them.
+ * @param {Object} [configFilter] - config.listingFilter ({ include, exclude, paused })
+ * @param {Object} [cliFilter] - Filters from the command line ({ include, exclude })
+ * @returns {{include: Array, exclude: Array, paused: Array}} - Parsed filters
+ */
+export function buildListingFilter(configFilter = {}, cliFilter = {}) {
+  const include = cliFilter.include && cliFilter.include.length > 0
+    ? cliFilter.include
+    : configFilter.include || [];
+
+  return {
+    include: include.map(parseListingFilter),
+    exclude: [...(configFilter.exclude || []), ...(cliFilter.exclude || [])].map(parseListingFilter),
+    paused: (configFilter.paused || []).map(parseListingFilter)
+  };
+}
+
+/**
+ * Collect what the filters look at for a listing
+ * @param {Object} config - Global configuration
+ * @param {string} url - URL of the listing's pricing page
+ * @param {string} [name] - Name shown in the dashboard (config properties.<id>.name otherwise)
+ * @returns {{url: string, id: string, pms: string|null, name: string|null, tags: Array<string>}} - Listing
+ */
+export function describeListing(config, url, name) {
+  const id = getListingId(url);
+  const property = (config.properties || {})[id];
+  const { profile } = resolvePropertyConfig(config, id);
+
+  return {
+    url,
+    id,
+    pms: getPmsName(url),
+    name: name || (property && property.name) || null,
+    tags: profile.filter((entry) => entry.startsWith("group:")).map((entry) => entry.slice("group:".length))
+  };
+}
+
+/**
+ * Check a listing against a filter
+ * @param {Object} listing - Listing from describeListing()
+ * @param {Object} filter - Filter from parseListingFilter()
+ * @returns {boolean} - Whether the listing matches
+ */
+export function matchesListingFilter(listing, filter) {
+  switch (filter.type) {
+  case "id":
+    return listing.id === filter.value;
+  case "pms":
+    return listing.pms !== null && listing.pms.toLowerCase() === filter.value.toLowerCase();
+  case "tag":
+    return listing.tags.includes(filter.value);
+  case "name":
+    return listing.name !== null && filter.pattern.test(listing.name);
+  default:
+    return false;
+  }
+}
+
+/**
+ * Split listings into the ones to adjust, the paused ones and the filtered out ones
+ * @param {Array<Object>} listings - Listings from describeListing(), in dashboard order
+ * @param {Object} filter - Filters from buildListingFilter()
+ * @returns {{selected: Array<Object>, paused: Array<Object>, excluded: Array<{listing: Object, reason: string}>}}
+ *   - Listings by outcome, each in dashboard order
+ */
+export function applyListingFilter(listings, filter) {
+  const selected = [];
+  const paused = [];
+  const excluded = [];
+
+  for (const listing of listings) {
+    const matches = (filters) => filters.find((entry) => matchesListingFilter(listing, entry));
+
+    if (filter.include.length > 0 && !matches(filter.include)) {
+      excluded.push({ listing, reason: "not included" });
+      continue;
+    }
+
+    const exclusion = matches(filter.exclude);
+    if (exclusion) {
+      excluded.push({ listing, reason: `excluded by ${exclusion.text}` });
+      continue;
+    }
+
+    if (matches(filter.paused)) {
+      paused.push(listing);
+    } else {
+      selected.push(listing);
+    }
+  }
+
+  return { selected, paused, excluded };
+}
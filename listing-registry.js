@@ -0,0 +1,89 @@
+import fs from "fs/promises";
+
+/**
+ * Local registry of the listings seen on the PriceLabs dashboard, keyed by
+ * listing ID. Every run that reads the dashboard updates it with the latest
+ * name, PMS, URL and metric columns, so logs and reports can name listings
+ * instead of showing their pricing URLs.
+ */
+
+/**
+ * Load the listing registry
+ * @param {string} registryFile - Path to the registry file
+ * @returns {Promise<Object>} - Registry ({ updatedAt, listings }); empty if there is no file yet
+ * @throws {Error} - If the file exists but can't be parsed
+ */
+export async function loadListingRegistry(registryFile) {
+  let raw;
+  try {
+    raw = await fs.readFile(registryFile, "utf8");
+  } catch {
+    return { updatedAt: null, listings: {} };
+  }
+
+  let registry;
+  try {
+    registry = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Listing registry ${registryFile} is not valid JSON: ${error.message}`);
+  }
+
+  if (!registry || typeof registry.listings !== "object" || registry.listings === null) {
+    throw new Error(`Listing registry ${registryFile} has no "listings" object`);
+  }
+  return registry;
+}
+
+/**
+ * Write the listing registry to disk
+ * @param {string} registryFile - Path to the registry file
+ * @param {Object} registry - Registry to write
+ */
+export async function saveListingRegistry(registryFile, registry) {
+  await fs.writeFile(registryFile, JSON.stringify(registry, null, 2), "utf8");
+}
+
+/**
+ * Merge the listings scraped from the dashboard into the registry. A listing
+ * keeps its record (and first-seen date) when its URL changes; every URL it
+ * was seen under is kept in "urls".
+ * @param {Object} registry - Registry to update
+ * @param {Array<Object>} listings - Scraped listings ({ id, url, name, pms, metrics })
+ * @param {string} date - Date of the run (YYYY-MM-DD)
+ * @returns {Object} - The updated registry
+ */
+export function updateListingRegistry(registry, listings, date) {
+  for (const listing of listings) {
+    const existing = registry.listings[listing.id];
+    const urls = existing ? existing.urls || [existing.url] : [];
+
+    registry.listings[listing.id] = {
+      id: listing.id,
+      name: listing.name || (existing && existing.name) || null,
+      pms: listing.pms || (existing && existing.pms) || null,
+      url: listing.url,
+      urls: urls.includes(listing.url) ? urls : [...urls, listing.url],
+      metrics: listing.metrics,
+      firstSeen: existing ? existing.firstSeen : date,
+      lastSeen: date
+    };
+  }
+
+  registry.updatedAt = new Date().toISOString();
+  return registry;
+}
+
+/**
+ * Label a listing for messages and reports
+ * @param {Object} registry - Listing registry
+ * @param {string} listingId - Listing ID
+ * @param {string} [fallback] - Label when the listing isn't registered (e.g. its URL)
+ * @returns {string} - e.g. "Beach House (12345)"
+ */
+export function getListingLabel(registry, listingId, fallback) {
+  const listing = registry.listings[listingId];
+  if (listing && listing.name) {
+    return `${listing.name} (${listingId})`;
+  }
+  return fallback || listingId;
+}
@@ -0,0 +1,41 @@
+/**
+ * Get the PriceLabs listing ID from a pricing page URL
+ * (the "listings" query parameter, e.g. ".../pricing?listings=12345")
+ * @param {string} url - URL of the property
+ * @returns {string} - The listing ID, or the URL itself if it has none
+ */
+export function getListingId(url) {
+  try {
+    return new URL(url).searchParams.get("listings") || url;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Get the URL of a pricing page with its calendar opened (open_calendar=true)
+ * @param {string} url - URL of the property
+ * @returns {string} - URL with the calendar parameter set
+ */
+export function getCalendarUrl(url) {
+  try {
+    const calendarUrl = new URL(url);
+    calendarUrl.searchParams.set("open_calendar", "true");
+    return calendarUrl.href;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Get the PMS name from a pricing page URL (the "pms_name" query parameter)
+ * @param {string} url - URL of the property
+ * @returns {string|null} - The PMS name, or null if the URL has none
+ */
+export function getPmsName(url) {
+  try {
+    return new URL(url).searchParams.get("pms_name");
+  } catch {
+    return null;
+  }
+}
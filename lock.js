@@ -0,0 +1,116 @@
+import fs from "fs/promises";
+
+/**
+ * Lock files, so two bot runs (or two daemons) never work at the same time.
+ * A lock file holds the process ID of its holder; a lock left behind by a
+ * process that no longer runs (e.g. after a crash) is taken over.
+ */
+
+// A lock file another process has just created may not hold its record yet:
+// how often, and how long apart, to read it again before giving up
+const READ_RETRIES = 5;
+const READ_RETRY_DELAY_MS = 100;
+
+/**
+ * Read a lock file
+ * @param {string} lockFile - Path to the lock file
+ * @returns {Promise<{exists: boolean, holder: Object|null}>} - Whether there is a lock file, and its
+ *   record ({ pid, startedAt, ... }), or null if it has none that parses (yet)
+ */
+async function readLock(lockFile) {
+  let text;
+  try {
+    text = await fs.readFile(lockFile, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return { exists: false, holder: null };
+    throw error;
+  }
+  try {
+    const holder = JSON.parse(text);
+    return { exists: true, holder: holder && Number.isInteger(holder.pid) ? holder : null };
+  } catch {
+    return { exists: true, holder: null };
+  }
+}
+
+/**
+ * Read a lock file, giving a process that has just created it a moment to write its record
+ * @param {string} lockFile - Path to the lock file
+ * @returns {Promise<{exists: boolean, holder: Object|null}>} - As readLock()
+ */
+async function readLockWithRetries(lockFile) {
+  let lock = await readLock(lockFile);
+  for (let retry = 0; retry < READ_RETRIES && lock.exists && !lock.holder; retry++) {
+    await new Promise((resolve) => setTimeout(resolve, READ_RETRY_DELAY_MS));
+    lock = await readLock(lockFile);
+  }
+  return lock;
+}
+
+/**
+ * Check whether a process is still running
+ * @param {number} pid - Process ID
+ * @returns {boolean} - Whether the process exists
+ */
+function isProcessAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists, but belongs to another user
+    return error.code === "EPERM";
+  }
+}
+
+/**
+ * Take a lock, unless a running process holds it
+ * @param {string} lockFile - Path to the lock file
+ * @param {Object} [details] - Extra details for the lock record, e.g. { mode: "dry-run" }
+ * @returns {Promise<Object|null>} - Lock record of the process holding the lock, or null once this process holds it
+ */
+export async function tryAcquireLock(lockFile, details = {}) {
+  const record = { pid: process.pid, startedAt: new Date().toISOString(), ...details };
+
+  // A second attempt after removing a stale lock (or after the holder released it)
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await fs.writeFile(lockFile, JSON.stringify(record, null, 2), { encoding: "utf8", flag: "wx" });
+      return null;
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+    }
+
+    const { exists, holder } = await readLockWithRetries(lockFile);
+    if (!exists) continue;
+
+    // Only a lock whose record names a process that is gone is stale
+    if (!holder) {
+      console.warn(`Lock file ${lockFile} has no readable record; delete it if no run is going`);
+      return { pid: null, startedAt: null };
+    }
+    if (isProcessAlive(holder.pid)) {
+      return holder;
+    }
+
+    // Another process may have taken over the stale lock in the meantime
+    const current = await readLock(lockFile);
+    if (!current.holder || current.holder.pid !== holder.pid || current.holder.startedAt !== holder.startedAt) {
+      continue;
+    }
+    console.log(`Removing stale lock file ${lockFile} (process ${holder.pid} is gone)`);
+    await fs.rm(lockFile, { force: true });
+  }
+  return (await readLockWithRetries(lockFile)).holder || { pid: null, startedAt: null };
+}
+
+/**
+ * Release a lock this process holds (a lock taken over by another process is left alone)
+ * @param {string} lockFile - Path to the lock file
+ */
+export async function releaseLock(lockFile) {
+  const { holder } = await readLock(lockFile);
+  if (holder && holder.pid === process.pid) {
+    await fs.rm(lockFile, { force: true });
+  }
+}
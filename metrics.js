@@ -0,0 +1,159 @@
+/**
+ * Booking metrics derived from successive runs of a listing: occupancy trend,
+ * 30-day occupancy against its recent average, and pickup. The first two come
+ * from the occupancy recorded in the change log (one point per run), pickup
+ * from the calendar snapshots.
+ * No Node dependencies: the strategy core uses them too.
+ */
+
+// Ways to turn the 7-day occupancy of past runs into a trend (see calculateTrend)
+export const TREND_METHODS = ["latest", "movingAverage", "exponential", "regression"];
+
+/**
+ * Average of the last values of a series
+ * @param {Array<number>} values - Series, oldest first
+ * @param {number} runs - Number of values to average
+ * @returns {number|null} - Average, or null for an empty series
+ */
+export function movingAverage(values, runs) {
+  const recent = values.slice(-runs);
+  if (recent.length === 0) return null;
+  return recent.reduce((sum, value) => sum + value, 0) / recent.length;
+}
+
+/**
+ * Exponentially smoothed level of a series
+ * @param {Array<number>} values - Series, oldest first
+ * @param {number} smoothingFactor - Weight of each new value (0-1); higher reacts faster
+ * @returns {number|null} - Smoothed level after the last value, or null for an empty series
+ */
+export function exponentialSmoothing(values, smoothingFactor) {
+  if (values.length === 0) return null;
+  return values.slice(1).reduce((level, value) => smoothingFactor * value + (1 - smoothingFactor) * level, values[0]);
+}
+
+/**
+ * Slope of the least-squares line through a series
+ * @param {Array<number>} values - Series, oldest first, one value per step
+ * @returns {number|null} - Change per step, or null with fewer than two values
+ */
+export function linearRegressionSlope(values) {
+  const count = values.length;
+  if (count < 2) return null;
+
+  const meanX = (count - 1) / 2;
+  const meanY = values.reduce((sum, value) => sum + value, 0) / count;
+  let covariance = 0;
+  let variance = 0;
+  values.forEach((value, x) => {
+    covariance += (x - meanX) * (value - meanY);
+    variance += (x - meanX) ** 2;
+  });
+  return covariance / variance;
+}
+
+/**
+ * Sort occupancy history by date and pick one window from it
+ * @param {Array<Object>} occupancyHistory - History ({ date, sevenDay, thirtyDay, sixtyDay })
+ * @param {string} window - "sevenDay", "thirtyDay" or "sixtyDay"
+ * @returns {Array<number>} - Occupancy (0-1) of each run, oldest first
+ */
+export function getOccupancySeries(occupancyHistory, window) {
+  return [...(occupancyHistory || [])]
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map((entry) => entry[window])
+    .filter((value) => value !== null && value !== undefined);
+}
+
+/**
+ * Calculate the trend of an occupancy series in percentage points per run.
+ * "latest" compares the last two runs; "movingAverage" averages the run-to-run
+ * changes over the last runs, "exponential" smooths them, and "regression" fits
+ * a line through the last runs.
+ * @param {Array<number>} series - Occupancy (0-1) of each run, oldest first
+ * @param {{method: string, runs: number, smoothingFactor: number}} settings - Trend settings (policy.metrics.trend)
+ * @returns {number} - Trend in percentage points per run (0 without enough history)
+ */
+export function calculateTrend(series, { method, runs, smoothingFactor }) {
+  if (series.length < 2) return 0;
+
+  const recent = series.slice(-(runs + 1));
+  const changes = recent.slice(1).map((value, i) => value - recent[i]);
+
+  let trend;
+  switch (method) {
+  case "latest":
+    trend = changes[changes.length - 1];
+    break;
+  case "movingAverage":
+    trend = movingAverage(changes, runs);
+    break;
+  case "exponential":
+    trend = exponentialSmoothing(changes, smoothingFactor);
+    break;
+  case "regression":
+    trend = linearRegressionSlope(series.slice(-runs));
+    break;
+  default:
+    throw new Error(`Unknown trend method "${method}" (expected one of: ${TREND_METHODS.join(", ")})`);
+  }
+
+  return (trend ?? 0) * 100;
+}
+
+/**
+ * Compare the current 30-day occupancy with its average over the last runs.
+ * This is not booking pace: each run's 30 days start on the day of that run, so
+ * the past values cover other nights, not the same nights at the same lead time.
+ * @param {Array<number>} series - 30-day occupancy (0-1) of past runs, oldest first
+ * @param {number} current - Current 30-day occupancy (0-1)
+ * @param {number} runs - Number of past runs to average
+ * @returns {number|null} - Difference in percentage points (positive is above the average), or null without history
+ */
+export function calculateOccupancyVsAverage(series, current, runs) {
+  const average = movingAverage(series, runs);
+  if (average === null) return null;
+  return (current - average) * 100;
+}
+
+/**
+ * Count the nights booked since an earlier calendar snapshot. Only nights that
+ * both calendars cover count: nights that have since passed or that are new at
+ * the end of the calendar are left out.
+ * @param {Array<Object>} previousNights - Nights of the earlier snapshot ({ date, booked })
+ * @param {Array<Object>} nights - Current nights ({ date, booked })
+ * @returns {number} - Nights booked now that were open before (cancellations subtract)
+ */
+export function calculatePickup(previousNights, nights) {
+  const wasBooked = new Map(previousNights.map((night) => [night.date, night.booked]));
+  let pickup = 0;
+  for (const night of nights) {
+    if (!wasBooked.has(night.date)) continue;
+    if (night.booked && !wasBooked.get(night.date)) pickup++;
+    if (!night.booked && wasBooked.get(night.date)) pickup--;
+  }
+  return pickup;
+}
+
+/**
+ * Calculate the booking metrics of a listing for the current run
+ * @param {Object} input - What the metrics are derived from
+ * @param {Array<Object>} input.occupancyHistory - Occupancy of past runs ({ date, sevenDay, thirtyDay, sixtyDay })
+ * @param {Object} input.occupancy - Current occupancy ({ sevenDay, thirtyDay, sixtyDay })
+ * @param {Array<Object>|null} input.nights - Current calendar nights, if scraped
+ * @param {Object|null} input.previousCalendar - Latest earlier calendar snapshot ({ date, nights }), if any
+ * @param {Object} settings - Metric settings (policy.metrics)
+ * @returns {{trend: number, trendMethod: string, occupancyVsAverage: number|null, pickup: number|null, pickupSince: string|null}}
+ *   - Trend and occupancyVsAverage in percentage points, pickup in nights since the snapshot of pickupSince
+ */
+export function calculateBookingMetrics({ occupancyHistory, occupancy, nights, previousCalendar }, settings) {
+  const hasPickup = Boolean(nights && previousCalendar);
+
+  return {
+    trend: calculateTrend(getOccupancySeries(occupancyHistory, "sevenDay"), settings.trend),
+    trendMethod: settings.trend.method,
+    occupancyVsAverage: calculateOccupancyVsAverage(getOccupancySeries(occupancyHistory, "thirtyDay"), occupancy.thirtyDay, settings.averageRuns),
+    pickup: hasPickup ? calculatePickup(previousCalendar.nights, nights) : null,
+    pickupSince: hasPickup ? previousCalendar.date : null
+  };
+}
@@ -0,0 +1,160 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadCliConfig } from "./cli-options.js";
+import { getListingId } from "./listing.js";
+import { DEFAULT_LEDGER_FILE, readLedger, writeFileAtomic } from "./ledger.js";
+
+/**
+ * One-time import of legacy JSON change logs into the run ledger:
+ *
+ *   bun run migrate-log [legacy log files...] [--log-file=<ledger>]
+ *
+ * Without arguments it imports config.logFile (not set in the shipped config).
+ * It reads every format the bot and the strategy module used to write: a single
+ * run ({ lastRun, changes }), an array of runs, or a plain array of changes.
+ * Entries written twice (once by each writer) are merged, and changes are
+ * grouped into runs by run ID, or by date for entries written before runs had
+ * IDs, across all the files imported together (e.g. a log and its .backup or
+ * .partial files). The imported history goes in front of whatever the ledger
+ * already holds.
+ */
+
+// Get directory path
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Collect the change entries of a legacy change log, in file order (newest first)
+ * @param {*} data - Parsed legacy log
+ * @param {string} source - File it was read from, for error messages
+ * @returns {Array<Object>} - Change entries, dated with their run's lastRun where they have no date
+ * @throws {Error} - If the data isn't one of the legacy formats
+ */
+function collectLegacyChanges(data, source) {
+  const fromRun = (run) => (Array.isArray(run.changes) ? run.changes : [])
+    .map((change) => ({ ...change, date: change.date || run.lastRun }));
+
+  if (Array.isArray(data)) {
+    // An array of runs, or of changes
+    return data.flatMap((item) => (item && Array.isArray(item.changes) ? fromRun(item) : [item]));
+  }
+  if (data && typeof data === "object" && Array.isArray(data.changes)) {
+    return fromRun(data);
+  }
+  throw new Error(`${source} is not a change log: expected { lastRun, changes }, an array of runs or an array of changes`);
+}
+
+/**
+ * Key identifying a change, so the copies written by the bot and by the
+ * strategy module for the same listing and run fall together
+ * @param {Object} change - Change entry
+ * @returns {string} - Key
+ */
+function getChangeKey(change) {
+  const prices = [change.minPrice, change.basePrice].map((price) => (price ? `${price.before}>${price.after}` : "-"));
+  return [change.listingId || getListingId(change.url), change.date, change.runId || "", change.error ? "error" : "", ...prices].join("|");
+}
+
+/**
+ * Build the ledger records for legacy changes
+ * @param {Array<Object>} changes - Change entries, newest first
+ * @returns {{records: Array<Object>, runs: number, changes: number, duplicates: number}} - Run and
+ *   change records, oldest run first, and what went into them
+ */
+function buildLedgerRecords(changes) {
+  // Merge duplicates, keeping the first (most complete, from the bot) copy's place
+  const unique = new Map();
+  for (const change of changes) {
+    if (!change || !change.url || !change.date) continue;
+    const key = getChangeKey(change);
+    unique.set(key, unique.has(key) ? { ...change, ...unique.get(key) } : change);
+  }
+
+  // Group into runs
+  const runs = new Map();
+  for (const change of unique.values()) {
+    const runId = change.runId || `legacy-${change.date}`;
+    if (!runs.has(runId)) {
+      runs.set(runId, { runId, date: change.date, changes: [] });
+    }
+    runs.get(runId).changes.push({ ...change, listingId: change.listingId || getListingId(change.url) });
+  }
+
+  const records = [];
+  const sortedRuns = [...runs.values()].sort((a, b) => a.date.localeCompare(b.date));
+  for (const run of sortedRuns) {
+    const stamp = { runId: run.runId, configHash: null, strategyVersion: null };
+    records.push({ type: "run", runId: run.runId, mode: "migrated", date: run.date, startedAt: null, finishedAt: null, configHash: null, strategyVersion: null, changes: run.changes.length });
+    records.push(...run.changes.map((change) => ({ type: "change", ...change, ...stamp })));
+  }
+
+  return { records, runs: runs.size, changes: unique.size, duplicates: changes.length - unique.size };
+}
+
+let config;
+try {
+  ({ config } = await loadCliConfig(__dirname));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const ledgerFile = config.ledgerFile || DEFAULT_LEDGER_FILE;
+const sources = process.argv.slice(2).filter((arg) => !arg.startsWith("--"));
+if (sources.length === 0) {
+  if (!config.logFile) {
+    console.error("Usage: bun run migrate-log <legacy log files...> (or set logFile in config.json)");
+    process.exit(1);
+  }
+  sources.push(config.logFile);
+}
+
+try {
+  const { runs: ledgerRuns, migrations } = await readLedger(ledgerFile);
+  const knownRunIds = new Set(ledgerRuns.map((run) => run.runId));
+  const imported = migrations.flatMap((migration) => migration.sources.map((source) => path.resolve(source)));
+
+  const legacyChanges = [];
+  for (const source of sources) {
+    if (imported.includes(path.resolve(source))) {
+      throw new Error(`${source} was already imported into ${ledgerFile}`);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(source, "utf8"));
+    } catch (error) {
+      throw new Error(`Could not read change log ${source}: ${error.message}`);
+    }
+
+    const changes = collectLegacyChanges(data, source);
+    console.log(`${source}: ${changes.length} entries`);
+    legacyChanges.push(...changes);
+  }
+
+  const { records, ...summary } = buildLedgerRecords(legacyChanges);
+  const clash = records.find((record) => record.type === "run" && knownRunIds.has(record.runId));
+  if (clash) {
+    throw new Error(`Run ${clash.runId} is already in ${ledgerFile}`);
+  }
+  // Absolute paths, so the bot recognizes the import whatever directory it runs from
+  records.push({ type: "migration", sources: sources.map((source) => path.resolve(source)), importedAt: new Date().toISOString(), ...summary });
+
+  // Imported history goes before the runs already in the ledger
+  let existing = "";
+  try {
+    existing = await fs.readFile(ledgerFile, "utf8");
+  } catch {
+    // No ledger yet
+  }
+  if (existing !== "" && !existing.endsWith("\n")) {
+    existing += "\n";
+  }
+  await writeFileAtomic(ledgerFile, records.map((record) => JSON.stringify(record) + "\n").join("") + existing);
+
+  console.log(`Imported ${summary.changes} changes in ${summary.runs} runs into ${ledgerFile} (${summary.duplicates} duplicates merged)`);
+  console.log(`${sources.join(", ")} ${sources.length === 1 ? "is" : "are"} no longer read or written and can be archived`);
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
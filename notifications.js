@@ -0,0 +1,188 @@
+import { sendMail } from "./smtp.js";
+import { getListingId } from "./listing.js";
+import { isAppliedAdjustment } from "./history.js";
+
+/**
+ * Notifications: an end-of-run summary and immediate alerts (login failure,
+ * selector breakage), sent to a webhook and/or by email as configured in
+ * config.notifications. The webhook gets Slack-compatible JSON ({ text }, plus
+ * the event and its details for other receivers). Sending never fails a run:
+ * a channel that can't be reached is reported on the console.
+ */
+
+// Notification settings used when config.notifications leaves them out
+const DEFAULTS = {
+  summary: "always",
+  decreaseStreak: { runs: 3, percentage: 5 }
+};
+
+// Alert subjects, by event
+const ALERT_TITLES = {
+  "login-failed": "PriceLabs login failed",
+  "selectors-broken": "PriceLabs pages no longer match the bot's selectors",
+  test: "Test alert"
+};
+
+/**
+ * Format a price change
+ * @param {Object} price - Price ({ before, after })
+ * @returns {string} - e.g. "100 → 102 (+2.0%)"
+ */
+function formatPriceChange(price) {
+  if (price.before === price.after) return `${price.after}`;
+  const percentage = price.before ? ((price.after - price.before) / price.before) * 100 : 0;
+  return `${price.before} → ${price.after} (${percentage > 0 ? "+" : ""}${percentage.toFixed(1)}%)`;
+}
+
+/**
+ * Find listings whose base price went down in each of their last few applied adjustments
+ * @param {Array<Object>} changes - Changes of the run
+ * @param {Object} history - History store (see history.js)
+ * @param {{runs: number, percentage: number}} settings - Streak length, and the total drop it takes
+ * @param {string|null} [runId] - ID of the run, whose own entries in the history are left out
+ * @returns {Array<{listingId: string, url: string, runs: number, from: number, to: number, percentage: number}>} - Streaks
+ */
+export function findDecreaseStreaks(changes, history, settings, runId = null) {
+  const streaks = [];
+  for (const change of changes) {
+    if (!isAppliedAdjustment(change) || change.basePrice.after >= change.basePrice.before) continue;
+
+    const listingId = change.listingId || getListingId(change.url);
+    const adjustments = [change, ...history.getAdjustmentsSince(listingId, null, { excludeRunId: runId })].slice(0, settings.runs);
+    if (adjustments.length < settings.runs || adjustments.some((adjustment) => adjustment.basePrice.after >= adjustment.basePrice.before)) {
+      continue;
+    }
+
+    const from = adjustments[adjustments.length - 1].basePrice.before;
+    const to = change.basePrice.after;
+    const percentage = ((from - to) / from) * 100;
+    if (percentage >= settings.percentage) {
+      streaks.push({ listingId, url: change.url, runs: settings.runs, from, to, percentage });
+    }
+  }
+  return streaks;
+}
+
+/**
+ * Build the text of a run summary
+ * @param {Object} summary - Run summary ({ mode, runId, date, error, processed, failed, changes,
+ *   skipped, paused, clamps, warnings, decreaseStreaks }), listings named by their label
+ * @returns {{subject: string, text: string}} - Subject line and plain text body
+ */
+export function formatRunSummary(summary) {
+  const proposed = summary.mode === "dry-run" || summary.mode === "plan";
+  const counts = `${summary.processed} listings processed, ${summary.changes.length} ${proposed ? "proposed" : "applied"} changes, ${summary.failed.length} failed`;
+  const subject = summary.error
+    ? `PriceLabs bot ${summary.mode} stopped early on ${summary.date}: ${summary.error.split("\n")[0]}`
+    : `PriceLabs bot ${summary.mode} on ${summary.date}: ${counts}`;
+
+  const lines = [`${summary.runId ? `Run ${summary.runId}` : "Run"} (${summary.mode}) on ${summary.date}: ${counts}`];
+  if (summary.error) {
+    lines.push(`The run stopped early: ${summary.error}`);
+  }
+
+  const section = (title, items, format) => {
+    if (items.length === 0) return;
+    lines.push("", `${title} (${items.length}):`, ...items.map((item) => `  ${format(item)}`));
+  };
+  section(proposed ? "Proposed changes" : "Changes applied", summary.changes,
+    (change) => `${change.label}: min ${formatPriceChange(change.minPrice)}, base ${formatPriceChange(change.basePrice)}${change.status ? ` [${change.status}]` : ""}`);
+  section("Failed", summary.failed, (change) => `${change.label}: ${change.error || `saved prices ${change.status}`}`);
+  section("Price dropping run after run", summary.decreaseStreaks,
+    (streak) => `${streak.label}: base price down ${streak.runs} adjustments in a row, ${streak.from} → ${streak.to} (-${streak.percentage.toFixed(1)}%)`);
+  section("Guardrail clamps", summary.clamps, (clamp) => `${clamp.label}: ${clamp.priceType} ${clamp.from} → ${clamp.to} (${clamp.reason})`);
+  section("Skipped", summary.skipped, (skip) => `${skip.label}: ${skip.reason}`);
+  section("Paused", summary.paused, (label) => label);
+  section("Warnings", summary.warnings, (warning) => `${warning.label}: ${warning.warning}`);
+
+  return { subject, text: lines.join("\n") };
+}
+
+/**
+ * Create a notifier for the configured channels
+ * @param {Object} [settings] - config.notifications ({ summary, webhook, email, decreaseStreak })
+ * @param {Object} [env] - Environment, for NOTIFY_WEBHOOK_URL and SMTP_PASSWORD
+ * @returns {Object} - Notifier: channels, settings, sendRunSummary(summary) and sendAlert(event, message, details)
+ */
+export function createNotifier(settings = {}, env = process.env) {
+  const resolved = { ...DEFAULTS, ...settings, decreaseStreak: { ...DEFAULTS.decreaseStreak, ...settings.decreaseStreak } };
+  const webhookUrl = env.NOTIFY_WEBHOOK_URL || (resolved.webhook && resolved.webhook.url) || null;
+  const email = resolved.email || null;
+
+  const channels = [];
+  if (webhookUrl) {
+    channels.push({
+      name: "webhook",
+      send: async ({ subject, text, event, details }) => {
+        const response = await fetch(webhookUrl, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ text: `*${subject}*\n${text}`, event, details }),
+          signal: AbortSignal.timeout(30000)
+        });
+        if (!response.ok) {
+          throw new Error(`webhook answered ${response.status} ${response.statusText}`);
+        }
+      }
+    });
+  }
+  if (email) {
+    channels.push({
+      name: "email",
+      send: ({ subject, text }) => sendMail(
+        { host: email.host, port: email.port, secure: email.secure, user: email.user, password: env.SMTP_PASSWORD },
+        { from: email.from, to: email.to, subject, text }
+      )
+    });
+  }
+
+  /**
+   * Send a notification on every channel
+   * @param {Object} notification - Notification ({ subject, text, event, details })
+   * @returns {Promise<boolean>} - Whether every channel took it
+   */
+  async function send(notification) {
+    let delivered = true;
+    for (const channel of channels) {
+      try {
+        await channel.send(notification);
+      } catch (error) {
+        console.error(`Could not send the "${notification.event}" notification by ${channel.name}: ${error.message}`);
+        delivered = false;
+      }
+    }
+    return delivered;
+  }
+
+  return {
+    channels: channels.map((channel) => channel.name),
+    settings: resolved,
+
+    /**
+     * Send the summary of a run, unless summaries are off (or only sent for failed runs)
+     * @param {Object} summary - Run summary (see formatRunSummary)
+     * @returns {Promise<boolean>} - Whether every channel took it (true when nothing was sent)
+     */
+    sendRunSummary: (summary) => {
+      const failed = Boolean(summary.error) || summary.failed.length > 0;
+      if (resolved.summary === "never" || (resolved.summary === "failures" && !failed)) {
+        return Promise.resolve(true);
+      }
+      return send({ ...formatRunSummary(summary), event: "run-summary", details: summary });
+    },
+
+    /**
+     * Send an alert right away
+     * @param {string} event - "login-failed", "selectors-broken" or "test"
+     * @param {string} message - What happened
+     * @param {Object} [details] - Extra details for webhook receivers
+     * @returns {Promise<boolean>} - Whether every channel took it
+     */
+    sendAlert: (event, message, details = {}) => send({
+      subject: `PriceLabs bot alert: ${ALERT_TITLES[event] || event}`,
+      text: message,
+      event,
+      details
+    })
+  };
+}
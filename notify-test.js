@@ -0,0 +1,63 @@
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadCliConfig } from "./cli-options.js";
+import { createNotifier } from "./notifications.js";
+
+/**
+ * Send a test alert and a sample run summary to the configured notification
+ * channels, to check the webhook and email settings:
+ *
+ *   bun run notify-test
+ *
+ * It exits with 1 when no channel is configured or any of them fails.
+ * fixtures/notify-server.js receives both locally.
+ */
+
+// Load environment variables (NOTIFY_WEBHOOK_URL, SMTP_PASSWORD)
+dotenv.config();
+
+// Get directory path
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+let config;
+try {
+  ({ config } = await loadCliConfig(__dirname));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+const notifier = createNotifier(config.notifications);
+if (notifier.channels.length === 0) {
+  console.error("No notification channels: add notifications.webhook or notifications.email to the config, or set NOTIFY_WEBHOOK_URL");
+  process.exit(1);
+}
+
+// A made-up run with something in every section
+const sampleSummary = {
+  mode: "run",
+  runId: "test",
+  date: new Date().toISOString().split("T")[0],
+  error: null,
+  processed: 4,
+  failed: [{ label: "Lake Cabin (10004)", error: "Timed out waiting for the pricing page", status: null }],
+  changes: [
+    { label: "Beach House (10001)", minPrice: { before: 80, after: 82 }, basePrice: { before: 120, after: 123 }, status: "applied" },
+    { label: "City Loft (10002)", minPrice: { before: 90, after: 90 }, basePrice: { before: 150, after: 146 }, status: "applied" }
+  ],
+  skipped: [{ label: "Mountain Chalet (10003)", reason: "adjusted 2 days ago (minimum interval 3 days)" }],
+  paused: [],
+  clamps: [{ label: "Beach House (10001)", priceType: "base", from: 126, to: 123, reason: "max change per run" }],
+  warnings: [],
+  decreaseStreaks: [{ listingId: "10002", url: "", label: "City Loft (10002)", runs: 3, from: 162, to: 146, percentage: 9.9 }]
+};
+
+console.log(`Sending a test alert and a sample run summary by ${notifier.channels.join(" and ")}...`);
+const alertSent = await notifier.sendAlert("test", "This is a test alert from the PriceLabs bot (bun run notify-test).");
+// Sent even when config.notifications.summary would leave it out
+const summarySent = await createNotifier({ ...config.notifications, summary: "always" }).sendRunSummary(sampleSummary);
+
+const passed = alertSent && summarySent;
+console.log(passed ? "Notifications sent." : "Some notifications could not be sent.");
+process.exitCode = passed ? 0 : 1;
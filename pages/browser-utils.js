@@ -0,0 +1,83 @@
+import puppeteer from "puppeteer";
+
+/**
+ * Launch the browser used by the bot and its tools
+ * @returns {Promise<Object>} - Puppeteer browser
+ */
+export async function launchBrowser() {
+  return await puppeteer.launch({
+    headless: "new",
+    defaultViewport: null,
+    args: ["--start-maximized"]
+  });
+}
+
+/**
+ * Helper function for waiting - compatible with all Puppeteer versions
+ * @param {Object} page - Puppeteer page object
+ * @param {number} ms - Milliseconds to wait
+ */
+export async function wait(page, ms) {
+  await page.evaluate((timeout) => {
+    return new Promise((resolve) => setTimeout(resolve, timeout));
+  }, ms);
+}
+
+/**
+ * Wait until the page has made no network requests for half a second. Gives up
+ * quietly after the timeout, since some pages keep polling in the background.
+ * @param {Object} page - Puppeteer page object
+ * @param {number} [timeout] - Longest time to wait in ms
+ */
+export async function waitForIdle(page, timeout = 10000) {
+  try {
+    await page.waitForNetworkIdle({ idleTime: 500, timeout });
+  } catch {
+    // Still busy: carry on and let the next step wait for its own element
+  }
+}
+
+/**
+ * Retry function for operations that might fail
+ * @param {Function} fn - The function to retry
+ * @param {number} maxRetries - Maximum number of retry attempts
+ * @param {number} retryDelay - Delay between retries in ms
+ */
+export async function retry(fn, maxRetries = 3, retryDelay = 1000) {
+  let lastError;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      console.log(`Attempt ${attempt}/${maxRetries} failed: ${error.message}`);
+      lastError = error;
+      if (attempt < maxRetries) {
+        console.log(`Retrying in ${retryDelay}ms...`);
+        await new Promise((resolve) => setTimeout(resolve, retryDelay));
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Find the buttons on the page whose trimmed text matches exactly
+ * @param {Object} page - Puppeteer page object
+ * @param {string} text - Button text
+ * @returns {Promise<Array<Object>>} - Matching element handles
+ */
+export async function findButtonsByText(page, text) {
+  const buttons = await page.$$("button");
+  const matches = [];
+
+  for (const button of buttons) {
+    const buttonText = await button.evaluate((el) => el.textContent.trim());
+    if (buttonText === text) {
+      matches.push(button);
+    }
+  }
+
+  return matches;
+}
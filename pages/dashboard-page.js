@@ -0,0 +1,77 @@
+import { SELECTORS } from "./selectors.js";
+import { retry } from "./browser-utils.js";
+import { getListingId, getPmsName } from "../listing.js";
+
+/**
+ * Page object for the PriceLabs dashboard with the table of properties
+ */
+class DashboardPage {
+  /**
+   * @param {Object} page - Puppeteer page object
+   */
+  constructor(page) {
+    this.page = page;
+  }
+
+  /**
+   * Wait for the property table to load
+   */
+  async waitUntilLoaded() {
+    console.log("Waiting for property table to load...");
+    await retry(async () => {
+      await this.page.waitForSelector(SELECTORS.TABLE_BODY, { visible: true });
+    });
+  }
+
+  /**
+   * Scrape every property row of the table into a listing record
+   * @returns {Promise<Array<Object>>} - Listings in table order ({ id, url, name, pms, metrics }),
+   *   where metrics holds the text of every other visible column by its header
+   */
+  async getListings() {
+    console.log("Extracting property links...");
+    const rows = await retry(async () => {
+      return await this.page.evaluate(
+        (selector, rowSelector) => {
+          const rows = document.querySelectorAll(rowSelector);
+          if (rows.length === 0) return [];
+
+          const isVisible = (cell) => cell.getClientRects().length > 0;
+          const cellText = (cell) => cell.textContent.replace(/\s+/g, " ").trim();
+
+          // The first row holds the column headers
+          const headers = [...rows[0].children].map(cellText);
+          const listings = [];
+
+          for (let i = 1; i < rows.length; i++) {
+            const link = rows[i].querySelector(selector);
+            if (!link || !link.href) continue;
+
+            const metrics = {};
+            [...rows[i].children].forEach((cell, column) => {
+              // The first column is the listing itself
+              if (column === 0 || !isVisible(cell)) return;
+              metrics[headers[column] || `Column ${column + 1}`] = cellText(cell);
+            });
+
+            listings.push({ url: link.href, name: cellText(link), metrics });
+          }
+
+          return listings;
+        },
+        SELECTORS.PROPERTY_LINK,
+        SELECTORS.TABLE_ROWS
+      );
+    });
+
+    return rows.map((row) => ({
+      id: getListingId(row.url),
+      url: row.url,
+      name: row.name,
+      pms: getPmsName(row.url),
+      metrics: row.metrics
+    }));
+  }
+}
+
+export default DashboardPage;
@@ -0,0 +1,61 @@
+import { SELECTORS } from "./selectors.js";
+import { retry } from "./browser-utils.js";
+
+// PriceLabs sign-in page
+export const SIGNIN_URL = "https://pricelabs.co/signin";
+
+/**
+ * Page object for the PriceLabs sign-in page
+ */
+class LoginPage {
+  /**
+   * @param {Object} page - Puppeteer page object
+   * @param {Object} [options] - Page options
+   * @param {string} [options.signinUrl] - Sign-in page URL (e.g. the local fixture site)
+   */
+  constructor(page, { signinUrl = SIGNIN_URL } = {}) {
+    this.page = page;
+    this.signinUrl = signinUrl;
+  }
+
+  /**
+   * Open the sign-in page
+   */
+  async open() {
+    console.log("Navigating to login page...");
+    await retry(async () => {
+      await this.page.goto(this.signinUrl, {
+        waitUntil: "networkidle2"
+      });
+    });
+  }
+
+  /**
+   * Submit the credentials on the open sign-in page
+   * @param {string} email - PriceLabs account email
+   * @param {string} password - PriceLabs account password
+   */
+  async submit(email, password) {
+    console.log("Logging in...");
+    await retry(async () => {
+      await this.page.type(SELECTORS.EMAIL, email);
+      await this.page.type(SELECTORS.PASSWORD, password);
+      await Promise.all([
+        this.page.click(SELECTORS.SUBMIT),
+        this.page.waitForNavigation({ waitUntil: "networkidle0" })
+      ]);
+    });
+  }
+
+  /**
+   * Open the sign-in page and submit the credentials
+   * @param {string} email - PriceLabs account email
+   * @param {string} password - PriceLabs account password
+   */
+  async login(email, password) {
+    await this.open();
+    await this.submit(email, password);
+  }
+}
+
+export default LoginPage;
@@ -0,0 +1,62 @@
+import { wait } from "./browser-utils.js";
+
+/**
+ * Run a task for every item on a bounded pool of browser pages. The pages are
+ * opened in the same browser, so they share its cookies and logged-in session.
+ *
+ * Each page works through the items one at a time; a task that fails only
+ * affects its own item, and a page that crashed is replaced for the next one.
+ * Tasks record their own results (e.g. by index), so the order of the items is
+ * kept no matter which page finishes first.
+ *
+ * @param {Object} browser - Puppeteer browser, already logged in
+ * @param {Array} items - Items to process
+ * @param {Object} options - Pool options
+ * @param {number} [options.concurrency] - Number of pages working at once
+ * @param {number} [options.delayMs] - Pause of each page between two items (politeness delay)
+ * @param {Function} [options.setupPage] - Called with every new page before it is used
+ * @param {Function} task - async (page, item, index) => void
+ */
+export async function runWithPagePool(browser, items, { concurrency = 1, delayMs = 0, setupPage } = {}, task) {
+  if (items.length === 0) return;
+
+  const pages = [];
+  let next = 0;
+
+  const openPage = async () => {
+    const page = await browser.newPage();
+    pages.push(page);
+    if (setupPage) {
+      await setupPage(page);
+    }
+    return page;
+  };
+
+  const worker = async () => {
+    let page = await openPage();
+
+    while (next < items.length) {
+      const index = next++;
+
+      try {
+        await task(page, items[index], index);
+      } catch (error) {
+        console.error(`Error processing ${items[index]}:`, error.message);
+      }
+
+      if (page.isClosed()) {
+        page = await openPage();
+      }
+      if (delayMs > 0 && next < items.length) {
+        await wait(page, delayMs);
+      }
+    }
+  };
+
+  try {
+    const workerCount = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+  } finally {
+    await Promise.all(pages.filter((page) => !page.isClosed()).map((page) => page.close()));
+  }
+}
@@ -0,0 +1,248 @@
+import { BUTTON_TEXTS, CALENDAR_SELECTORS, PRICE_INPUTS, SELECTORS } from "./selectors.js";
+import { findButtonsByText, retry, waitForIdle } from "./browser-utils.js";
+import RecommendationModal from "./recommendation-modal.js";
+
+/**
+ * Page object for the pricing page of a single property
+ */
+class PricingPage {
+  /**
+   * @param {Object} page - Puppeteer page object
+   */
+  constructor(page) {
+    this.page = page;
+    this.recommendationModal = new RecommendationModal(page);
+  }
+
+  /**
+   * Navigate to a property's pricing page and wait for the price inputs to render
+   * @param {string} url - URL of the property
+   */
+  async open(url) {
+    await retry(async () => {
+      await this.page.goto(url, { waitUntil: "networkidle0" });
+    });
+
+    try {
+      await this.page.waitForSelector(SELECTORS.BASE_PRICE_INPUT, {
+        visible: true,
+        timeout: 10000
+      });
+    } catch {
+      // Missing inputs are reported by the selector check or by readPrice()
+    }
+  }
+
+  /**
+   * Read the 7, 30 and 60 day occupancy rates
+   * @returns {Promise<Object>} - Rates as decimals ({ "7_day_occ", "30_day_occ", "60_day_occ" }),
+   *   null where a rate is missing or "N/A"
+   */
+  async readOccupancy() {
+    try {
+      await this.page.waitForSelector(SELECTORS.OCCUPANCY_RATES, {
+        visible: true,
+        timeout: 10000
+      });
+      return await this.page.evaluate((selector) => {
+        const elements = document.querySelectorAll(selector);
+
+        if (!elements || elements.length === 0) return {};
+
+        // Get text from all occupancy rate elements and convert to decimals
+        const occupancyData = {};
+
+        // Helper function to convert percentage string to decimal
+        const percentToDecimal = (percentStr) => {
+          if (!percentStr || percentStr === "N/A") return null;
+          const match = percentStr.match(/(\d+(\.\d+)?)%?/);
+          if (!match) return null;
+          return parseFloat(match[1]) / 100; // Convert to decimal
+        };
+
+        // Check if we have at least one element
+        if (elements.length >= 1) {
+          occupancyData["7_day_occ"] = elements[0]
+            ? percentToDecimal(elements[0].textContent)
+            : null;
+          occupancyData["30_day_occ"] = elements[1]
+            ? percentToDecimal(elements[1].textContent)
+            : null;
+          occupancyData["60_day_occ"] = elements[2]
+            ? percentToDecimal(elements[2].textContent)
+            : null;
+        }
+
+        return occupancyData;
+      }, SELECTORS.OCCUPANCY_RATES);
+    } catch (error) {
+      return {
+        "7_day_occ": null,
+        "30_day_occ": null,
+        "60_day_occ": null
+      };
+    }
+  }
+
+  /**
+   * Read the nights shown in the calendar (the page must be opened with open_calendar=true)
+   * @returns {Promise<Array<Object>>} - Nights ({ date, price, booked, minStay }) in page order;
+   *   price and minStay are null where the cell doesn't show them
+   */
+  async readCalendar() {
+    try {
+      await this.page.waitForSelector(CALENDAR_SELECTORS.DAY, { timeout: 10000 });
+    } catch {
+      return [];
+    }
+
+    return await this.page.evaluate((selectors) => {
+      const readNumber = (cell, selector) => {
+        const element = cell.querySelector(selector);
+        const value = element ? parseFloat(element.textContent.replace(/[^0-9.]/g, "")) : NaN;
+        return Number.isFinite(value) ? value : null;
+      };
+
+      return [...document.querySelectorAll(selectors.DAY)].map((cell) => ({
+        date: cell.getAttribute("data-date"),
+        price: readNumber(cell, selectors.PRICE),
+        booked: cell.getAttribute("data-booked") === "true" || cell.classList.contains("booked"),
+        minStay: readNumber(cell, selectors.MIN_STAY)
+      }));
+    }, CALENDAR_SELECTORS);
+  }
+
+  /**
+   * Read the numeric value of a price input
+   * @param {string} priceType - Type of price ("min" or "base")
+   * @returns {Promise<number>} - The current price, or 0 if the input is missing
+   */
+  async readPrice(priceType) {
+    const selector = PRICE_INPUTS[priceType];
+    await this.page.waitForSelector(selector, {
+      visible: true,
+      timeout: 10000
+    });
+
+    return await this.page.evaluate((inputSelector) => {
+      const input = document.querySelector(inputSelector);
+      return input ? parseFloat(input.value) : 0;
+    }, selector);
+  }
+
+  /**
+   * Reload the pricing page and read back the prices PriceLabs has stored
+   * @param {string} url - URL of the property
+   * @returns {Promise<{min: number, base: number}>} - Saved min and base prices
+   */
+  async readSavedPrices(url) {
+    await this.open(url);
+    return {
+      min: await this.readPrice("min"),
+      base: await this.readPrice("base")
+    };
+  }
+
+  /**
+   * Type a new value into a price input, falling back to setting it via JS
+   * @param {string} priceType - Type of price ("min" or "base")
+   * @param {number} newPrice - The value to enter
+   */
+  async setPrice(priceType, newPrice) {
+    const selector = PRICE_INPUTS[priceType];
+    const label = priceType === "min" ? "Min" : "Base";
+
+    // More robust approach for setting input values
+    try {
+      // First try using page.type which simulates actual typing
+      await this.page.click(selector, { clickCount: 3 }); // Select all text
+      await this.page.keyboard.press("Backspace"); // Clear the field
+      await this.page.type(selector, newPrice.toString());
+
+      // Verify the change was applied
+      const actualValue = await this.page.evaluate((inputSelector) => {
+        return document.querySelector(inputSelector).value;
+      }, selector);
+
+      console.log(`${label} price input field now contains: ${actualValue}`);
+
+      if (parseFloat(actualValue) !== newPrice) {
+        console.log(`Warning: ${label} price field contains ${actualValue} instead of expected ${newPrice}`);
+
+        // Fallback to JavaScript approach if the type method didn't work
+        await this.page.evaluate(
+          (inputSelector, newValue, type) => {
+            const input = document.querySelector(inputSelector);
+            if (input) {
+              input.value = "";
+              input.value = newValue;
+              input.dispatchEvent(new Event("input", { bubbles: true }));
+              input.dispatchEvent(new Event("change", { bubbles: true }));
+              input.dispatchEvent(new Event("blur", { bubbles: true }));
+              console.log(`Used JS fallback to set ${type} price field`);
+            }
+          },
+          selector,
+          newPrice,
+          priceType
+        );
+      }
+    } catch (inputError) {
+      console.error(`Error setting ${priceType} price input:`, inputError.message);
+
+      // Last resort fallback
+      await this.page.evaluate(
+        (inputSelector, newValue) => {
+          const input = document.querySelector(inputSelector);
+          if (input) {
+            input.value = newValue;
+            input.dispatchEvent(new Event("change", { bubbles: true }));
+          }
+        },
+        selector,
+        newPrice
+      );
+    }
+  }
+
+  /**
+   * Click the save button
+   */
+  async save() {
+    await this.page.waitForSelector(SELECTORS.SAVE_BUTTON, {
+      visible: true,
+      timeout: 10000
+    });
+    await this.page.click(SELECTORS.SAVE_BUTTON);
+    await waitForIdle(this.page);
+  }
+
+  /**
+   * Click "Sync Now" if the button is shown
+   * @returns {Promise<boolean>} - Whether the button was found
+   */
+  async sync() {
+    const buttons = await findButtonsByText(this.page, BUTTON_TEXTS.SYNC_NOW);
+
+    for (const button of buttons) {
+      console.log("Sync button found, clicking");
+      await button.click();
+      await waitForIdle(this.page, 30000);
+    }
+
+    return buttons.length > 0;
+  }
+
+  /**
+   * Click save, dismiss the "Ignore Recommendation" modal and trigger a sync
+   */
+  async saveAndSync() {
+    await this.save();
+    await this.recommendationModal.dismissIfShown();
+    if (!(await this.sync())) {
+      console.log("No Sync Now button found on the page.");
+    }
+  }
+}
+
+export default PricingPage;
@@ -0,0 +1,62 @@
+import { BUTTON_TEXTS } from "./selectors.js";
+import { findButtonsByText, waitForIdle } from "./browser-utils.js";
+
+/**
+ * Page object for the Chakra modal PriceLabs shows after saving when the
+ * min price is less than 20% below the base price
+ */
+class RecommendationModal {
+  /**
+   * @param {Object} page - Puppeteer page object
+   */
+  constructor(page) {
+    this.page = page;
+  }
+
+  /**
+   * Click "Ignore Recommendation" if the modal is open
+   * @returns {Promise<boolean>} - Whether the modal was found and dismissed
+   */
+  async dismissIfShown() {
+    // The modal opens once the save has been checked; give it a moment to appear
+    if (!(await this.waitForIgnoreButton(true, 1000))) {
+      return false;
+    }
+
+    const buttons = await findButtonsByText(this.page, BUTTON_TEXTS.IGNORE_RECOMMENDATION);
+
+    for (const button of buttons) {
+      console.log("Modal found, ignoring recommendation");
+      await button.click();
+    }
+
+    // Wait for the modal to close and the save to go through
+    await this.waitForIgnoreButton(false, 10000);
+    await waitForIdle(this.page);
+
+    return buttons.length > 0;
+  }
+
+  /**
+   * Wait until the "Ignore Recommendation" button is shown or gone
+   * @param {boolean} shown - Whether to wait for the button to be shown (true) or gone (false)
+   * @param {number} timeout - Longest time to wait in ms
+   * @returns {Promise<boolean>} - Whether that happened in time
+   */
+  async waitForIgnoreButton(shown, timeout) {
+    try {
+      await this.page.waitForFunction(
+        (text, expected) => [...document.querySelectorAll("button")]
+          .some((button) => button.textContent.trim() === text) === expected,
+        { timeout },
+        BUTTON_TEXTS.IGNORE_RECOMMENDATION,
+        shown
+      );
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+export default RecommendationModal;
@@ -0,0 +1,257 @@
+import fs from "fs/promises";
+import path from "path";
+import { BUTTON_TEXTS, CALENDAR_SELECTORS, DYNAMIC_SELECTORS, SELECTORS } from "./selectors.js";
+import { findButtonsByText } from "./browser-utils.js";
+
+/**
+ * Health check of the selectors in selectors.js against the live PriceLabs pages.
+ *
+ * Every selector is checked on the page it belongs to. When it doesn't match,
+ * its fallbacks (looser CSS, or Puppeteer's aria/ and text/ lookups) are tried
+ * to show where the element went; the bot itself only uses the primary selector,
+ * so a selector that only resolves through a fallback still needs updating.
+ */
+
+// Selectors by page; "critical" ones stop the bot when they are missing
+export const SELECTOR_CHECKS = [
+  {
+    name: "EMAIL",
+    page: "signin",
+    selector: SELECTORS.EMAIL,
+    critical: true,
+    fallbacks: ["input[type=\"email\"]", "input[name=\"user[email]\"]", "aria/Email"]
+  },
+  {
+    name: "PASSWORD",
+    page: "signin",
+    selector: SELECTORS.PASSWORD,
+    critical: true,
+    fallbacks: ["input[type=\"password\"]", "aria/Password"]
+  },
+  {
+    name: "SUBMIT",
+    page: "signin",
+    selector: SELECTORS.SUBMIT,
+    critical: true,
+    fallbacks: ["#new_user input[type=\"submit\"]", "form input[type=\"submit\"]", "form button[type=\"submit\"]"]
+  },
+  {
+    name: "TABLE_BODY",
+    page: "dashboard",
+    selector: SELECTORS.TABLE_BODY,
+    critical: true,
+    fallbacks: ["#mc-main table tbody", "table tbody"]
+  },
+  {
+    name: "TABLE_ROWS",
+    page: "dashboard",
+    selector: SELECTORS.TABLE_ROWS,
+    critical: true,
+    fallbacks: ["#mc-main table tbody tr", "table tbody tr"]
+  },
+  {
+    name: "PROPERTY_LINK",
+    page: "dashboard",
+    selector: `${SELECTORS.TABLE_ROWS} > ${SELECTORS.PROPERTY_LINK}`,
+    critical: true,
+    fallbacks: ["#mc-main table tbody tr td a[href*=\"listings=\"]", "a[href*=\"listings=\"]"]
+  },
+  {
+    name: "OCCUPANCY_RATES",
+    page: "pricing",
+    selector: SELECTORS.OCCUPANCY_RATES,
+    // Without occupancy every rate reads as 0% and prices would be cut
+    critical: true,
+    fallbacks: ["[id^=\"popover-trigger-metric-cell-occupancy\"] p", "[id*=\"occupancy\"] p"]
+  },
+  {
+    name: "MIN_PRICE_INPUT",
+    page: "pricing",
+    selector: SELECTORS.MIN_PRICE_INPUT,
+    critical: true,
+    fallbacks: ["[id*=\"min-price\"] input", "aria/Min Price"]
+  },
+  {
+    name: "BASE_PRICE_INPUT",
+    page: "pricing",
+    selector: SELECTORS.BASE_PRICE_INPUT,
+    critical: true,
+    fallbacks: ["[id*=\"base-price\"] input", "aria/Base Price"]
+  },
+  {
+    name: "SAVE_BUTTON",
+    page: "pricing",
+    selector: SELECTORS.SAVE_BUTTON,
+    critical: true,
+    fallbacks: ["[id*=\"save-and-refresh\"]", "text/Save & Refresh"]
+  },
+  {
+    name: "CALENDAR_DAY",
+    page: "pricing",
+    selector: CALENDAR_SELECTORS.DAY,
+    // Without it the calendar snapshot is empty, but prices are still adjusted
+    critical: false,
+    fallbacks: ["[data-date]", "[role=\"gridcell\"]"]
+  },
+  {
+    name: "SYNC_NOW",
+    page: "pricing",
+    buttonText: BUTTON_TEXTS.SYNC_NOW,
+    critical: false,
+    fallbacks: ["aria/Sync Now", "text/Sync"]
+  },
+  // The recommendation modal only appears after saving, so these are skipped
+  // unless it happens to be open
+  {
+    name: "MODAL",
+    page: "modal",
+    selector: DYNAMIC_SELECTORS.MODAL,
+    critical: false,
+    fallbacks: ["[role=\"dialog\"]", "div[id^=\"chakra-modal-\"]"]
+  },
+  {
+    name: "IGNORE_BUTTON",
+    page: "modal",
+    selector: DYNAMIC_SELECTORS.IGNORE_BUTTON,
+    critical: false,
+    fallbacks: [`text/${BUTTON_TEXTS.IGNORE_RECOMMENDATION}`]
+  },
+  {
+    name: "MODAL_TEXT_IDENTIFIER",
+    page: "modal",
+    text: DYNAMIC_SELECTORS.MODAL_TEXT_IDENTIFIER,
+    critical: false,
+    fallbacks: ["text/Minimum Price"]
+  }
+];
+
+/**
+ * Check the selectors that belong to one page
+ * @param {Object} page - Puppeteer page object, showing that page
+ * @param {string} pageName - "signin", "dashboard", "pricing" or "modal"
+ * @returns {Promise<Array<Object>>} - Results ({ name, page, critical, status, selector, matchedBy }),
+ *   where status is "pass", "fallback", "fail" or "skipped"
+ */
+export async function checkPageSelectors(page, pageName) {
+  const results = [];
+  const checks = SELECTOR_CHECKS.filter((check) => check.page === pageName);
+
+  // Modal selectors can only be checked while the modal is open
+  const modalOpen = pageName !== "modal" || (await page.$(DYNAMIC_SELECTORS.MODAL)) !== null;
+
+  for (const check of checks) {
+    const result = {
+      name: check.name,
+      page: check.page,
+      critical: check.critical,
+      selector: check.selector || `text "${check.buttonText || check.text}"`,
+      status: "fail",
+      matchedBy: null
+    };
+
+    if (!modalOpen) {
+      result.status = "skipped";
+      result.note = "modal only appears after saving";
+    } else if (await matchesPrimary(page, check)) {
+      result.status = "pass";
+      result.matchedBy = result.selector;
+    } else {
+      for (const fallback of check.fallbacks || []) {
+        if (await matchesSelector(page, fallback)) {
+          result.status = "fallback";
+          result.matchedBy = fallback;
+          break;
+        }
+      }
+    }
+
+    results.push(result);
+  }
+
+  return results;
+}
+
+/**
+ * Get the critical selectors that don't resolve with their primary selector
+ * @param {Array<Object>} results - Results from checkPageSelectors()
+ * @returns {Array<Object>} - Failed critical checks
+ */
+export function getCriticalFailures(results) {
+  return results.filter((result) => result.critical && (result.status === "fail" || result.status === "fallback"));
+}
+
+/**
+ * Throw if any critical selector is missing, so a run stops before touching prices
+ * @param {Object} page - Puppeteer page object, showing the page to check
+ * @param {string} pageName - Page name, as in SELECTOR_CHECKS
+ * @throws {Error} - Listing the missing selectors
+ */
+export async function assertCriticalSelectors(page, pageName) {
+  const failures = getCriticalFailures(await checkPageSelectors(page, pageName));
+  if (failures.length > 0) {
+    throw new Error(
+      `PriceLabs ${pageName} page no longer matches critical selectors: ` +
+      failures.map(describeFailure).join("; ") +
+      ". Run \"bun run check-selectors\" for a full report."
+    );
+  }
+}
+
+/**
+ * Save the HTML and a screenshot of a page, for debugging failed selectors
+ * @param {Object} page - Puppeteer page object
+ * @param {string} outputDir - Directory to write to
+ * @param {string} pageName - Name used for the files
+ * @returns {Promise<Array<string>>} - Paths of the files written
+ */
+export async function saveDomSnapshot(page, outputDir, pageName) {
+  await fs.mkdir(outputDir, { recursive: true });
+  const htmlFile = path.join(outputDir, `${pageName}.html`);
+  const screenshotFile = path.join(outputDir, `${pageName}.png`);
+
+  await fs.writeFile(htmlFile, await page.content(), "utf8");
+  await page.screenshot({ path: screenshotFile, fullPage: true });
+
+  return [htmlFile, screenshotFile];
+}
+
+/**
+ * Describe a failed check for messages
+ * @param {Object} result - Result from checkPageSelectors()
+ * @returns {string} - e.g. "MIN_PRICE_INPUT (#rp-min-price-input input; found with [id*="min-price"] input)"
+ */
+export function describeFailure(result) {
+  return result.status === "fallback"
+    ? `${result.name} (${result.selector}; found with ${result.matchedBy})`
+    : `${result.name} (${result.selector})`;
+}
+
+/**
+ * Check a check's primary selector or text
+ * @param {Object} page - Puppeteer page object
+ * @param {Object} check - Entry of SELECTOR_CHECKS
+ * @returns {Promise<boolean>} - Whether it matches
+ */
+async function matchesPrimary(page, check) {
+  if (check.buttonText) {
+    return (await findButtonsByText(page, check.buttonText)).length > 0;
+  }
+  if (check.text) {
+    return await page.evaluate((text) => document.body.innerText.includes(text), check.text);
+  }
+  return await matchesSelector(page, check.selector);
+}
+
+/**
+ * Check whether a selector (CSS or a Puppeteer aria/ or text/ selector) matches an element
+ * @param {Object} page - Puppeteer page object
+ * @param {string} selector - Selector
+ * @returns {Promise<boolean>} - Whether an element matches
+ */
+async function matchesSelector(page, selector) {
+  try {
+    return (await page.$(selector)) !== null;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,124 @@
+import fs from "fs/promises";
+
+const PLAN_INSTRUCTIONS = [
+  "Review each entry before applying this plan with `bun run apply-plan`.",
+  "Set \"approved\" to true on every entry that should be pushed to PriceLabs.",
+  "Edit minPrice.after / basePrice.after to apply a different value than proposed.",
+  "Delete an entry to drop it from the plan entirely."
+];
+
+/**
+ * Build a change plan from the proposals gathered during a planning run
+ * @param {Array} proposals - Proposed changes ({ url, occupancy, minPrice, basePrice })
+ * @param {string} date - Date of the planning run (YYYY-MM-DD)
+ * @returns {Object} - Plan with every entry awaiting approval
+ */
+export function createPlan(proposals, date) {
+  const isPlannable = (proposal) => !proposal.error &&
+    isValidPrice(proposal.minPrice.before) &&
+    isValidPrice(proposal.basePrice.before);
+
+  const entries = proposals
+    .filter(isPlannable)
+    .map((proposal) => ({
+      url: proposal.url,
+      occupancy: proposal.occupancy,
+      configProfile: proposal.configProfile,
+      minPrice: {
+        before: proposal.minPrice.before,
+        after: proposal.minPrice.proposed
+      },
+      basePrice: {
+        before: proposal.basePrice.before,
+        after: proposal.basePrice.proposed
+      },
+      clamps: proposal.clamps || [],
+      approved: false
+    }));
+
+  return {
+    createdAt: new Date().toISOString(),
+    date,
+    instructions: PLAN_INSTRUCTIONS,
+    appliedAt: null,
+    entries,
+    errors: proposals
+      .filter((proposal) => !isPlannable(proposal))
+      .map((proposal) => ({
+        url: proposal.url,
+        error: proposal.error || "Could not read current prices"
+      }))
+  };
+}
+
+/**
+ * Write a plan to disk
+ * @param {string} planFile - Path to the plan file
+ * @param {Object} plan - Plan to write
+ */
+export async function savePlan(planFile, plan) {
+  await fs.writeFile(planFile, JSON.stringify(plan, null, 2), "utf8");
+}
+
+/**
+ * Load and validate a reviewed plan
+ * @param {string} planFile - Path to the plan file
+ * @returns {Promise<Object>} - The plan
+ * @throws {Error} - If the plan is missing, malformed or was already applied
+ */
+export async function loadPlan(planFile) {
+  let plan;
+  try {
+    plan = JSON.parse(await fs.readFile(planFile, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read plan file ${planFile}: ${error.message}`);
+  }
+
+  if (!plan || !Array.isArray(plan.entries)) {
+    throw new Error(`Plan file ${planFile} has no "entries" array`);
+  }
+
+  if (plan.appliedAt) {
+    throw new Error(`Plan file ${planFile} was already applied at ${plan.appliedAt}; create a new plan first`);
+  }
+
+  plan.entries.forEach((entry, index) => {
+    const where = `entries[${index}]`;
+    if (typeof entry.url !== "string" || entry.url === "") {
+      throw new Error(`${where}: "url" must be a non-empty string`);
+    }
+    for (const priceType of ["minPrice", "basePrice"]) {
+      const price = entry[priceType];
+      if (!price || !isValidPrice(price.before) || !isValidPrice(price.after)) {
+        throw new Error(`${where} (${entry.url}): "${priceType}" needs numeric "before" and "after" values`);
+      }
+    }
+    if (entry.minPrice.after > entry.basePrice.after) {
+      throw new Error(`${where} (${entry.url}): min price ${entry.minPrice.after} is above base price ${entry.basePrice.after}`);
+    }
+  });
+
+  return plan;
+}
+
+/**
+ * Get the entries that were approved and actually change a price
+ * @param {Object} plan - Loaded plan
+ * @returns {Array} - Approved entries
+ */
+export function getApprovedEntries(plan) {
+  return plan.entries.filter((entry) =>
+    entry.approved === true &&
+    (entry.minPrice.before !== entry.minPrice.after ||
+      entry.basePrice.before !== entry.basePrice.after)
+  );
+}
+
+/**
+ * Check whether a value is a usable price
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is a positive finite number
+ */
+function isValidPrice(value) {
+  return typeof value === "number" && Number.isFinite(value) && value > 0;
+}
@@ -0,0 +1,184 @@
+import { TREND_METHODS } from "./metrics.js";
+
+/**
+ * Tunable policy constants used by the pricing strategy, with their defaults.
+ * config.json may override any of them in "guardrails", "multipliers" and
+ * "metrics" (globally, or per group/property).
+ */
+
+export const DEFAULT_GUARDRAILS = {
+  // Force a HOLD after recent adjustments add up
+  forceHold: {
+    cumulativeIncreasePercentage: 3, // consecutive increases totaling this much
+    windowIncreasePercentage: 4, // increases within the increase cap window totaling this much
+    consecutiveDecreases: 3 // this many decreases in a row
+  },
+  // Maximum total increase per rolling window
+  increaseCap: {
+    percentage: 5,
+    days: 7,
+    holdMarginPercentage: 0.5 // hold oscillations go down once this close to the cap
+  },
+  // Maximum total decrease per rolling window (null disables the cap)
+  decreaseCap: {
+    percentage: null,
+    days: 7
+  },
+  // When the increase cap leaves less than minAdjustmentPercentage,
+  // oscillate by adjustmentPercentage instead of holding
+  capFallback: {
+    minAdjustmentPercentage: 1,
+    adjustmentPercentage: -1
+  },
+  // Keep the min price at least this far below the base price
+  minBelowBasePercentage: 20,
+  // Skip a listing whose last applied change is fewer than this many days old (0 disables)
+  minAdjustmentIntervalDays: 1
+};
+
+export const DEFAULT_MULTIPLIERS = {
+  // Applied to adjustments.increase.percentage
+  increase: {
+    veryHighOccupancy: 1.5,
+    highOccupancy: 1.2
+  },
+  // Applied to adjustments.decrease.percentage
+  decrease: {
+    criticalOccupancy: 1.5,
+    veryLowOccupancy: 1.2
+  },
+  // Applied to the increase/decrease percentage when a HOLD is overridden by occupancy
+  holdOverride: 0.7,
+  // Applied to the hold oscillation on weekends
+  weekendOscillation: {
+    up: 1.2,
+    down: 0.8
+  }
+};
+
+export const DEFAULT_METRICS = {
+  // Occupancy trend from the 7-day occupancy of past runs: "latest" (last two runs),
+  // "movingAverage", "exponential" (smoothed run-to-run changes) or "regression"
+  trend: {
+    method: "latest",
+    runs: 5, // past runs the smoothed methods look at
+    smoothingFactor: 0.5 // weight of the newest change for "exponential"
+  },
+  // The 30-day occupancy is compared with its average over this many past runs
+  averageRuns: 5,
+  // Criteria the default strategy applies between the occupancy thresholds.
+  // Trend and occupancy against the average are in percentage points, pickup in nights (null disables a criterion)
+  criteria: {
+    increaseTrendAbove: 5,
+    decreaseTrendBelow: -3,
+    increaseAboveAverage: null,
+    decreaseBelowAverage: null,
+    increasePickupAtLeast: null
+  }
+};
+
+// Validation rules for every leaf, keyed by dotted path
+const RULES = {
+  "guardrails.forceHold.cumulativeIncreasePercentage": { min: 0, max: 100 },
+  "guardrails.forceHold.windowIncreasePercentage": { min: 0, max: 100 },
+  "guardrails.forceHold.consecutiveDecreases": { min: 1, max: 100, integer: true },
+  "guardrails.increaseCap.percentage": { min: 0, max: 100 },
+  "guardrails.increaseCap.days": { min: 1, max: 365, integer: true },
+  "guardrails.increaseCap.holdMarginPercentage": { min: 0, max: 100 },
+  "guardrails.decreaseCap.percentage": { min: 0, max: 100, nullable: true },
+  "guardrails.decreaseCap.days": { min: 1, max: 365, integer: true },
+  "guardrails.capFallback.minAdjustmentPercentage": { min: 0, max: 100 },
+  "guardrails.capFallback.adjustmentPercentage": { min: -100, max: 100 },
+  "guardrails.minBelowBasePercentage": { min: 0, max: 99 },
+  "guardrails.minAdjustmentIntervalDays": { min: 0, max: 365, integer: true },
+  "multipliers.increase.veryHighOccupancy": { min: 0, max: 10 },
+  "multipliers.increase.highOccupancy": { min: 0, max: 10 },
+  "multipliers.decrease.criticalOccupancy": { min: 0, max: 10 },
+  "multipliers.decrease.veryLowOccupancy": { min: 0, max: 10 },
+  "multipliers.holdOverride": { min: 0, max: 10 },
+  "multipliers.weekendOscillation.up": { min: 0, max: 10 },
+  "multipliers.weekendOscillation.down": { min: 0, max: 10 },
+  "metrics.trend.method": { values: TREND_METHODS },
+  "metrics.trend.runs": { min: 1, max: 100, integer: true },
+  "metrics.trend.smoothingFactor": { min: 0, max: 1 },
+  "metrics.averageRuns": { min: 1, max: 100, integer: true },
+  "metrics.criteria.increaseTrendAbove": { min: -100, max: 100 },
+  "metrics.criteria.decreaseTrendBelow": { min: -100, max: 100 },
+  "metrics.criteria.increaseAboveAverage": { min: -100, max: 100, nullable: true },
+  "metrics.criteria.decreaseBelowAverage": { min: -100, max: 100, nullable: true },
+  "metrics.criteria.increasePickupAtLeast": { min: 1, max: 365, integer: true, nullable: true }
+};
+
+/**
+ * Merge the configured guardrails, multipliers and metric settings over the defaults and validate them
+ * @param {Object} config - Global or effective per-property configuration
+ * @returns {{guardrails: Object, multipliers: Object, metrics: Object}} - Complete, validated policy
+ * @throws {Error} - On unknown keys, wrong types or out-of-range values
+ */
+export function resolvePolicy(config) {
+  const policy = {
+    guardrails: mergeWithDefaults(DEFAULT_GUARDRAILS, config.guardrails, "guardrails"),
+    multipliers: mergeWithDefaults(DEFAULT_MULTIPLIERS, config.multipliers, "multipliers"),
+    metrics: mergeWithDefaults(DEFAULT_METRICS, config.metrics, "metrics")
+  };
+
+  for (const [path, rule] of Object.entries(RULES)) {
+    const value = path.split(".").reduce((node, key) => node[key], policy);
+    checkValue(path, value, rule);
+  }
+
+  return policy;
+}
+
+/**
+ * Merge configured values over defaults, rejecting keys the defaults don't have
+ * @param {Object} defaults - Default values
+ * @param {Object} overrides - Configured values (may be undefined)
+ * @param {string} path - Config path used in error messages
+ * @returns {Object} - Merged values
+ */
+function mergeWithDefaults(defaults, overrides, path) {
+  if (overrides === undefined) {
+    return JSON.parse(JSON.stringify(defaults));
+  }
+  if (overrides === null || typeof overrides !== "object" || Array.isArray(overrides)) {
+    throw new Error(`${path} must be an object`);
+  }
+
+  const result = JSON.parse(JSON.stringify(defaults));
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!(key in defaults)) {
+      throw new Error(`${path}.${key} is not a known setting (expected one of: ${Object.keys(defaults).join(", ")})`);
+    }
+    const isGroup = defaults[key] !== null && typeof defaults[key] === "object";
+    result[key] = isGroup ? mergeWithDefaults(defaults[key], value, `${path}.${key}`) : value;
+  }
+  return result;
+}
+
+/**
+ * Check a single policy value against its rule
+ * @param {string} path - Config path
+ * @param {*} value - Value to check
+ * @param {Object} rule - { min, max, integer, nullable }, or { values } for a choice
+ */
+function checkValue(path, value, rule) {
+  if (value === null && rule.nullable) return;
+
+  if (rule.values) {
+    if (!rule.values.includes(value)) {
+      throw new Error(`${path} must be one of ${rule.values.join(", ")}, got ${JSON.stringify(value)}`);
+    }
+    return;
+  }
+
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    throw new Error(`${path} must be a number${rule.nullable ? " or null" : ""}, got ${JSON.stringify(value)}`);
+  }
+  if (rule.integer && !Number.isInteger(value)) {
+    throw new Error(`${path} must be a whole number, got ${value}`);
+  }
+  if (value < rule.min || value > rule.max) {
+    throw new Error(`${path} must be between ${rule.min} and ${rule.max}, got ${value}`);
+  }
+}
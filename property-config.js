@@ -0,0 +1,151 @@
+/**
+ * Resolution of per-property configuration overrides.
+ *
+ * config.json can override settings for a set of listings in "groups" and for
+ * a single listing in "properties" (keyed by listing ID):
+ *
+ *   "groups": {
+ *     "beachfront": { "listings": ["123"], "adjustments": { "increase": { "percentage": 3 } } }
+ *   },
+ *   "properties": {
+ *     "456": { "tags": ["beachfront"], "occupancyThresholds": { "high": 0.9 } }
+ *   }
+ *
+ * A group applies to the listings it names and to properties tagged with it.
+ * Precedence: global settings < groups (in config order) < the property itself.
+ */
+
+// Settings that groups and properties are allowed to override
+export const OVERRIDABLE_KEYS = [
+  "strategy",
+  "strategyPlugin",
+  "adjustments",
+  "occupancyWeights",
+  "occupancyThresholds",
+  "priceLimits",
+  "guardrails",
+  "multipliers",
+  "metrics"
+];
+
+// Keys that describe membership rather than settings
+const GROUP_META_KEYS = ["listings"];
+const PROPERTY_META_KEYS = ["tags", "name"];
+
+/**
+ * Check the groups and properties sections for unknown keys and tags
+ * @param {Object} config - Global configuration
+ * @throws {Error} - If an override uses an unknown key or tag
+ */
+export function validatePropertyOverrides(config) {
+  const groups = config.groups || {};
+  const properties = config.properties || {};
+
+  for (const [groupName, group] of Object.entries(groups)) {
+    checkKeys(group, GROUP_META_KEYS, `groups.${groupName}`);
+    if (group.listings !== undefined && !Array.isArray(group.listings)) {
+      throw new Error(`groups.${groupName}.listings must be an array of listing IDs`);
+    }
+  }
+
+  for (const [listingId, property] of Object.entries(properties)) {
+    checkKeys(property, PROPERTY_META_KEYS, `properties.${listingId}`);
+    for (const tag of property.tags || []) {
+      if (!groups[tag]) {
+        throw new Error(`properties.${listingId}.tags references unknown group "${tag}"`);
+      }
+    }
+  }
+}
+
+/**
+ * Resolve the effective configuration for a listing
+ * @param {Object} config - Global configuration
+ * @param {string} listingId - PriceLabs listing ID
+ * @returns {{config: Object, profile: Array<string>}} - Merged config and the
+ *   names of the profiles that were applied, e.g. ["global", "group:beachfront", "listing:456"]
+ */
+export function resolvePropertyConfig(config, listingId) {
+  const groups = config.groups || {};
+  const property = (config.properties || {})[listingId];
+  const tags = (property && property.tags) || [];
+
+  let effective = config;
+  const profile = ["global"];
+
+  for (const [groupName, group] of Object.entries(groups)) {
+    const isMember = (group.listings || []).map(String).includes(String(listingId)) ||
+      tags.includes(groupName);
+    if (isMember) {
+      effective = applyOverrides(effective, group);
+      profile.push(`group:${groupName}`);
+    }
+  }
+
+  if (property) {
+    effective = applyOverrides(effective, property);
+    profile.push(`listing:${listingId}`);
+  }
+
+  return { config: effective, profile };
+}
+
+/**
+ * Apply the overridable keys of an override on top of a config
+ * @param {Object} base - Config to override
+ * @param {Object} overrides - Group or property entry
+ * @returns {Object} - New config object
+ */
+function applyOverrides(base, overrides) {
+  const result = { ...base };
+  for (const key of OVERRIDABLE_KEYS) {
+    if (overrides[key] !== undefined) {
+      result[key] = deepMerge(base[key], overrides[key]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Merge plain objects recursively; anything else is replaced
+ * @param {*} base - Base value
+ * @param {*} override - Overriding value
+ * @returns {*} - Merged value
+ */
+function deepMerge(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) {
+    return override;
+  }
+
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    result[key] = deepMerge(base[key], value);
+  }
+  return result;
+}
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether it is a non-array object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Throw on keys that are neither overridable settings nor membership keys
+ * @param {Object} entry - Group or property entry
+ * @param {Array<string>} metaKeys - Allowed membership keys
+ * @param {string} where - Config path used in the error message
+ */
+function checkKeys(entry, metaKeys, where) {
+  if (!isPlainObject(entry)) {
+    throw new Error(`${where} must be an object`);
+  }
+  for (const key of Object.keys(entry)) {
+    if (!OVERRIDABLE_KEYS.includes(key) && !metaKeys.includes(key)) {
+      throw new Error(`${where}.${key} is not a setting that can be overridden (allowed: ${OVERRIDABLE_KEYS.join(", ")})`);
+    }
+  }
+}
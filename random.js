@@ -0,0 +1,48 @@
+/**
+ * Seedable pseudo-random numbers for the simulators, so that a run can be
+ * repeated exactly. No Node dependencies: simulate.html imports it as well.
+ */
+
+/**
+ * Create a random number generator (mulberry32) from a seed
+ * @param {number|string} seed - Seed; strings that aren't whole numbers are hashed
+ * @returns {Function} - Returns a number in [0, 1) on each call, like Math.random()
+ */
+export function createRandom(seed) {
+  let state = normalizeSeed(seed);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a fresh seed for runs that don't specify one (it is recorded with the results)
+ * @returns {number} - Whole number seed
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Turn a seed into a 32-bit unsigned integer
+ * @param {number|string} seed - Seed
+ * @returns {number} - Generator state
+ */
+function normalizeSeed(seed) {
+  const text = String(seed).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+
+  // FNV-1a hash of the text
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
@@ -0,0 +1,86 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { getOptionValue, loadCliConfig } from "./cli-options.js";
+import { getListingLabel, loadListingRegistry } from "./listing-registry.js";
+import { DEFAULT_LEDGER_FILE, readLedger } from "./ledger.js";
+import { isFailedChange } from "./history.js";
+import { getListingId } from "./listing.js";
+
+/**
+ * Summarize a run recorded in the ledger, one row per listing:
+ *
+ *   bun run report [--run=<run ID>] [--listing=<id>]
+ *
+ * Without --run it reports the run recorded last. It exits with 2 when any
+ * listing of the run failed, like the run itself did.
+ */
+
+// Get directory path
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+let config;
+let cliOptions;
+try {
+  ({ config, options: cliOptions } = await loadCliConfig(__dirname));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+/**
+ * Format a price change for the table
+ * @param {Object} [price] - Price ({ before, after })
+ * @returns {string} - e.g. "100 → 102", or "" without a price
+ */
+function formatPrice(price) {
+  if (!price) return "";
+  return price.before === price.after ? `${price.after}` : `${price.before} → ${price.after}`;
+}
+
+/**
+ * Describe the outcome of a change
+ * @param {Object} change - Change record
+ * @returns {string} - e.g. "error: ...", "paused" or the save status
+ */
+function describeOutcome(change) {
+  if (change.error) return `error: ${change.error}`;
+  if (change.paused) return "paused";
+  return change.status || "";
+}
+
+const ledgerFile = config.ledgerFile || DEFAULT_LEDGER_FILE;
+const runId = getOptionValue(process.argv, "run");
+const { runs } = await readLedger(ledgerFile);
+const run = runId ? runs.find((candidate) => candidate.runId === runId) : runs[runs.length - 1];
+if (!run) {
+  console.error(runId ? `No run ${runId} in ${ledgerFile}` : `No runs recorded in ${ledgerFile} yet`);
+  process.exit(1);
+}
+
+const changes = cliOptions.listings.length > 0
+  ? run.changes.filter((change) => cliOptions.listings.includes(change.listingId || getListingId(change.url)))
+  : run.changes;
+const failed = changes.filter(isFailedChange);
+const paused = changes.filter((change) => change.paused);
+
+console.log(`Run ${run.runId} (${run.mode || "run"}) on ${run.date}`);
+console.log(`  Started: ${run.startedAt || "unknown"}, finished: ${run.finishedAt || (run.interrupted ? "interrupted" : "unknown")}`);
+console.log(`  Config: ${run.configHash || "unknown"}, strategy: ${run.strategyVersion || "unknown"}`);
+console.log(`  Listings: ${changes.length}, failed: ${failed.length}, paused: ${paused.length}`);
+
+if (changes.length > 0) {
+  const registry = await loadListingRegistry(config.listingRegistryFile || "pricelabs_listings.json");
+  console.table(changes.map((change) => ({
+    listing: getListingLabel(registry, change.listingId || getListingId(change.url), change.url),
+    "7d": change.occupancy ? change.occupancy["7_day_occ"] : "",
+    "30d": change.occupancy ? change.occupancy["30_day_occ"] : "",
+    min: formatPrice(change.minPrice),
+    base: formatPrice(change.basePrice),
+    outcome: describeOutcome(change)
+  })));
+}
+
+for (const change of failed) {
+  console.error(`Failed: ${change.listingId || getListingId(change.url)}: ${describeOutcome(change)}`);
+}
+process.exitCode = failed.length > 0 ? 2 : 0;
@@ -0,0 +1,187 @@
+/**
+ * Cron-like schedules for daemon mode (see daemon.js). A schedule is the usual
+ * five cron fields, in local time:
+ *
+ *   minute hour day-of-month month day-of-week
+ *
+ * Each field is "*", a number, a range ("1-5"), a step ("*\/15", "0-30/10") or a
+ * comma-separated list of those. Months and days of the week may be named
+ * ("jan", "mon-fri"); Sunday is 0 or 7. As in cron, when both the day of the
+ * month and the day of the week are restricted, a day matching either one counts.
+ *
+ *   0 6 * * *        every day at 06:00
+ *   0 6 * * mon-fri  weekdays at 06:00
+ *   30 5 * * 1,4     Mondays and Thursdays at 05:30
+ */
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+  { name: "day of week", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] }
+];
+
+// How far ahead to look for the next run before giving up (e.g. "0 0 31 2 *" never runs)
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * Parse one value of a cron field
+ * @param {string} text - Number or name
+ * @param {Object} field - Field description (see FIELDS)
+ * @returns {number} - Value
+ * @throws {Error} - If the value isn't a number or name in the field's range
+ */
+function parseFieldValue(text, field) {
+  const nameIndex = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  const value = nameIndex !== -1 ? nameIndex + (field.name === "month" ? 1 : 0) : Number(text);
+  if (!/^\d+$/.test(text) && nameIndex === -1) {
+    throw new Error(`"${text}" is not a valid ${field.name}`);
+  }
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} ${text} is out of range (${field.min}-${field.max})`);
+  }
+  return value;
+}
+
+/**
+ * Parse a cron field into the values it matches
+ * @param {string} text - Field, e.g. "*", "1-5", "*\/15" or "mon,thu"
+ * @param {Object} field - Field description (see FIELDS)
+ * @returns {{values: Set<number>, any: boolean}} - Matched values, and whether the field is "*"
+ * @throws {Error} - If the field doesn't parse
+ */
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`"${part}" has an invalid step`);
+    }
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== "*") {
+      const [first, last] = range.split("-");
+      from = parseFieldValue(first, field);
+      to = last === undefined ? (stepText === undefined ? from : field.max) : parseFieldValue(last, field);
+      if (from > to) {
+        throw new Error(`"${range}" is an empty range`);
+      }
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  // Sunday is both 0 and 7
+  if (field.name === "day of week" && values.delete(7)) {
+    values.add(0);
+  }
+  return { values, any: text === "*" };
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five cron fields, e.g. "0 6 * * mon-fri"
+ * @returns {Object} - Parsed schedule, for getNextRunTime() and getMissedRunTime()
+ * @throws {Error} - If the expression doesn't have five valid fields
+ */
+export function parseCron(expression) {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`"${expression}" must have ${FIELDS.length} fields (minute hour day-of-month month day-of-week), got ${parts.length}`);
+  }
+
+  let fields;
+  try {
+    fields = parts.map((part, index) => parseField(part, FIELDS[index]));
+  } catch (error) {
+    throw new Error(`"${expression}": ${error.message}`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields;
+  return {
+    expression,
+    minutes: [...minutes.values].sort((a, b) => a - b),
+    hours: [...hours.values].sort((a, b) => a - b),
+    daysOfMonth,
+    months: months.values,
+    daysOfWeek
+  };
+}
+
+/**
+ * Check whether a schedule runs on a day
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} date - Day (local time)
+ * @returns {boolean} - Whether the schedule has runs that day
+ */
+function matchesDay(schedule, date) {
+  if (!schedule.months.has(date.getMonth() + 1)) return false;
+
+  const { daysOfMonth, daysOfWeek } = schedule;
+  const dayOfMonth = daysOfMonth.values.has(date.getDate());
+  const dayOfWeek = daysOfWeek.values.has(date.getDay());
+  if (daysOfMonth.any || daysOfWeek.any) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Get the first run time of a schedule after a moment
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} after - Moment after which to look
+ * @returns {Date} - Next run time (whole minute, local time)
+ * @throws {Error} - If the schedule never runs
+ */
+export function getNextRunTime(schedule, after) {
+  const start = new Date(after);
+  start.setSeconds(0, 0);
+  start.setMinutes(start.getMinutes() + 1);
+
+  for (let day = 0; day < MAX_SEARCH_DAYS; day++) {
+    const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + day);
+    if (!matchesDay(schedule, date)) continue;
+
+    for (const hour of schedule.hours) {
+      for (const minute of schedule.minutes) {
+        const candidate = new Date(date.getFullYear(), date.getMonth(), date.getDate(), hour, minute);
+        if (candidate >= start) return candidate;
+      }
+    }
+  }
+  throw new Error(`Schedule "${schedule.expression}" never runs`);
+}
+
+/**
+ * Get the latest run time of a schedule that was missed: after the last run it
+ * was planned for, but already past
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} lastRun - Run time the schedule last ran (or skipped) for
+ * @param {Date} now - Current time
+ * @param {number} windowHours - Only look this far back
+ * @returns {Date|null} - Latest missed run time within the window, or null if none was missed
+ */
+export function getMissedRunTime(schedule, lastRun, now, windowHours) {
+  const windowStart = new Date(now.getTime() - windowHours * 60 * 60 * 1000);
+  let missed = null;
+  let runTime = getNextRunTime(schedule, lastRun > windowStart ? lastRun : windowStart);
+  while (runTime <= now) {
+    missed = runTime;
+    runTime = getNextRunTime(schedule, runTime);
+  }
+  return missed;
+}
+
+/**
+ * Name of a scheduled run, as used in the daemon's messages and health file
+ * @param {Object} run - Entry of config.schedule.runs
+ * @param {number} index - Position of the entry
+ * @returns {string} - Its name, or "run-<n>" for unnamed entries
+ */
+export function getScheduledRunName(run, index) {
+  return run.name || `run-${index + 1}`;
+}
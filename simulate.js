@@ -1,74 +1,203 @@
 import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
-import PricingStrategy from "./strategy.js";
+import PricingStrategyCore from "./strategy-core.js";
+import { loadStrategyModules } from "./strategies/load-modules.js";
+import { getOptionValue, loadCliConfig } from "./cli-options.js";
+import { createRandom, randomSeed } from "./random.js";
 
 // Get directory path
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-// Load configuration
-const config = JSON.parse(await fs.readFile(path.join(__dirname, "config.json"), "utf8"));
+// Load configuration (refuse to simulate with an invalid config)
+let config;
+let cliOptions;
+try {
+  ({ config, options: cliOptions } = await loadCliConfig(__dirname));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+// Allow trying another registered strategy plugin offline: --strategy=<name>
+const strategyArg = process.argv.find((arg) => arg.startsWith("--strategy="));
+if (strategyArg) {
+  config.strategyPlugin = strategyArg.slice("--strategy=".length);
+}
+
+// Make runs repeatable: --seed=<seed> fixes the random demand effects and
+// --start-date=YYYY-MM-DD the simulated calendar (both are recorded in the results)
+const seedArg = process.argv.find((arg) => arg.startsWith("--seed="));
+const seed = seedArg ? parseSeedArg(seedArg.slice("--seed=".length)) : randomSeed();
+const startDateArg = process.argv.find((arg) => arg.startsWith("--start-date="));
+const startDate = startDateArg ? startDateArg.slice("--start-date=".length) : formatLocalDate(new Date());
+if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || isNaN(new Date(startDate).getTime())) {
+  console.error(`Invalid --start-date "${startDate}", expected YYYY-MM-DD`);
+  process.exit(1);
+}
+
+// Simulate --days=<n> days (90 by default)
+const daysArg = getOptionValue(process.argv, "days");
+const days = daysArg === null ? 90 : Number(daysArg);
+if (!Number.isInteger(days) || days < 1) {
+  console.error(`Invalid --days "${daysArg}", expected a whole number of days`);
+  process.exit(1);
+}
+
+// Properties with different demand profiles, simulated unless --profiles=<file> gives others
+const DEFAULT_PROFILES = [
+  {
+    id: "high-demand-property",
+    name: "High Demand Beachfront",
+    url: "https://app.pricelabs.co/pricing?listings=high-demand-property",
+    basePrice: 250,
+    minPrice: 175,
+    occupancy: 0.70, // Starting at 70% occupancy
+    elasticity: 0.8, // How sensitive occupancy is to price changes (higher = more sensitive)
+    seasonality: 0.15, // Amplitude of seasonal variation
+    weekendPremium: 0.25, // How much more people book on weekends
+    randomVariation: 0.05, // Random variation in day-to-day bookings
+    baselineBookingProbability: 0.12 // Baseline probability of new bookings each day
+  },
+  {
+    id: "mid-demand-property",
+    name: "Mid-Range Downtown",
+    url: "https://app.pricelabs.co/pricing?listings=mid-demand-property",
+    basePrice: 150,
+    minPrice: 100,
+    occupancy: 0.50, // Starting at 50% occupancy
+    elasticity: 1.0,
+    seasonality: 0.10,
+    weekendPremium: 0.20,
+    randomVariation: 0.08,
+    baselineBookingProbability: 0.09
+  },
+  {
+    id: "low-demand-property",
+    name: "Low Demand Suburban",
+    url: "https://app.pricelabs.co/pricing?listings=low-demand-property",
+    basePrice: 100,
+    minPrice: 70,
+    occupancy: 0.30, // Starting at 30% occupancy
+    elasticity: 1.2, // More sensitive to price changes
+    seasonality: 0.05,
+    weekendPremium: 0.10,
+    randomVariation: 0.10,
+    baselineBookingProbability: 0.06
+  }
+];
+
+// Profile fields that must be numbers (a profile also has an id and a name; its url defaults to a pricing URL)
+const PROFILE_NUMBERS = ["basePrice", "minPrice", "occupancy", "elasticity", "seasonality", "weekendPremium", "randomVariation", "baselineBookingProbability"];
+
+/**
+ * Parse the --seed value, keeping whole numbers numeric
+ * @param {string} value - Seed from the command line
+ * @returns {number|string} - Seed
+ */
+function parseSeedArg(value) {
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date to format
+ * @returns {string} - Formatted date
+ */
+function formatLocalDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Load simulated property profiles from a JSON file holding an array of profiles
+ * @param {string} file - Path to the profiles file
+ * @returns {Promise<Array<Object>>} - Profiles, each with a url
+ * @throws {Error} - If the file can't be read or a profile is incomplete
+ */
+async function loadProfiles(file) {
+  let profiles;
+  try {
+    profiles = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read profiles file ${file}: ${error.message}`);
+  }
+  if (!Array.isArray(profiles) || profiles.length === 0) {
+    throw new Error(`${file} must hold a non-empty array of property profiles`);
+  }
+
+  return profiles.map((profile, index) => {
+    if (!profile || typeof profile.id !== "string" || typeof profile.name !== "string") {
+      throw new Error(`Profile ${index + 1} in ${file} needs an id and a name`);
+    }
+    const missing = PROFILE_NUMBERS.filter((field) => typeof profile[field] !== "number");
+    if (missing.length > 0) {
+      throw new Error(`Profile ${profile.id} in ${file} is missing numbers for ${missing.join(", ")}`);
+    }
+    return { url: `https://app.pricelabs.co/pricing?listings=${encodeURIComponent(profile.id)}`, ...profile };
+  });
+}
+
+// Simulate the profiles of --profiles=<file> instead of the default ones,
+// only those with the IDs given with --listing=<id> if any
+const profilesFile = getOptionValue(process.argv, "profiles");
+let profiles = DEFAULT_PROFILES;
+try {
+  if (profilesFile) {
+    profiles = await loadProfiles(profilesFile);
+  }
+  if (cliOptions.listings.length > 0) {
+    const unknown = cliOptions.listings.filter((id) => !profiles.some((profile) => profile.id === id));
+    if (unknown.length > 0) {
+      throw new Error(`No simulated property ${unknown.join(", ")} (profiles: ${profiles.map((profile) => profile.id).join(", ")})`);
+    }
+    profiles = profiles.filter((profile) => cliOptions.listings.includes(profile.id));
+  }
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 
 /**
  * Simulation of property performance over time
  */
 class PricingSimulation {
-  constructor() {
+  /**
+   * @param {Object} options - Run options
+   * @param {number|string} options.seed - Seed for the random demand effects
+   * @param {string} options.startDate - First simulated day (YYYY-MM-DD)
+   * @param {number} options.days - Number of days to simulate
+   * @param {Array<Object>} options.profiles - Profiles of the properties to simulate
+   */
+  constructor({ seed, startDate, days, profiles }) {
     this.properties = [];
+    this.profiles = profiles;
     this.simulationResults = {};
-    this.simulationDays = 90;
+    this.simulationDays = days;
     this.strategy = null;
+    this.seed = seed;
+    this.startDate = startDate;
+    this.random = createRandom(seed);
+    // The strategy's "today": set to each simulated day in turn
+    this.clock = { current: null, now: () => new Date(this.clock.current) };
+    // Change log of the simulated days so far, newest first like the history the bot loads from its ledger
+    this.changeLog = { lastRun: null, changes: [] };
   }
   
   /**
    * Initialize the simulation
    */
   async initialize() {
-    // Initialize strategy module
-    this.strategy = await new PricingStrategy().initialize(config);
+    // Register any custom strategy plugins, then price with the core alone: its only
+    // history is the simulated change log, never the bot's ledger or history database
+    await loadStrategyModules(config.strategyModules, __dirname);
+    this.strategy = new PricingStrategyCore({ logger: console, clock: this.clock }).configure(config);
+    this.strategy.loadLogs(this.changeLog);
+    console.log(`Using strategy plugin: ${this.strategy.getStrategyPlugin(null).name}`);
     
-    // Create properties with different profiles
-    this.properties = [
-      {
-        id: "high-demand-property",
-        name: "High Demand Beachfront",
-        url: "https://app.pricelabs.co/pricing?listings=high-demand-property",
-        basePrice: 250,
-        minPrice: 175,
-        occupancy: 0.70, // Starting at 70% occupancy
-        elasticity: 0.8, // How sensitive occupancy is to price changes (higher = more sensitive)
-        seasonality: 0.15, // Amplitude of seasonal variation
-        weekendPremium: 0.25, // How much more people book on weekends
-        randomVariation: 0.05, // Random variation in day-to-day bookings
-        baselineBookingProbability: 0.12 // Baseline probability of new bookings each day
-      },
-      {
-        id: "mid-demand-property",
-        name: "Mid-Range Downtown",
-        url: "https://app.pricelabs.co/pricing?listings=mid-demand-property",
-        basePrice: 150,
-        minPrice: 100,
-        occupancy: 0.50, // Starting at 50% occupancy
-        elasticity: 1.0, 
-        seasonality: 0.10,
-        weekendPremium: 0.20,
-        randomVariation: 0.08,
-        baselineBookingProbability: 0.09
-      },
-      {
-        id: "low-demand-property",
-        name: "Low Demand Suburban",
-        url: "https://app.pricelabs.co/pricing?listings=low-demand-property",
-        basePrice: 100,
-        minPrice: 70,
-        occupancy: 0.30, // Starting at 30% occupancy
-        elasticity: 1.2, // More sensitive to price changes
-        seasonality: 0.05,
-        weekendPremium: 0.10,
-        randomVariation: 0.10,
-        baselineBookingProbability: 0.06
-      }
-    ];
+    // Copies, so a run never changes the profiles it started from
+    this.properties = this.profiles.map((profile) => ({ ...profile }));
     
     // Initialize simulation results structure
     for (const property of this.properties) {
@@ -85,9 +214,11 @@ class PricingSimulation {
    * Run the simulation for all properties over the specified number of days
    */
   async runSimulation() {
-    console.log(`Starting simulation for ${this.simulationDays} days...`);
+    console.log(`Starting simulation for ${this.simulationDays} days from ${this.startDate} (seed: ${this.seed})...`);
     
-    const startDate = new Date();
+    // Noon local time, so the ISO date matches the local date in any time zone
+    const [year, month, dayOfMonth] = this.startDate.split("-").map(Number);
+    const startDate = new Date(year, month - 1, dayOfMonth, 12);
     
     // For each day in the simulation
     for (let day = 0; day < this.simulationDays; day++) {
@@ -99,6 +230,11 @@ class PricingSimulation {
       
       console.log(`\nSimulating day ${day + 1}/${this.simulationDays}: ${dateString} (${isWeekend ? "Weekend" : "Weekday"})`);
       
+      // Like a daily bot run: the strategy sees the simulated date and the changes logged before it
+      this.clock.current = simulationDate;
+      this.strategy.loadLogs(this.changeLog);
+      const dayChanges = [];
+      
       // Process each property
       for (const property of this.properties) {
         // Get property simulation data
@@ -152,6 +288,14 @@ class PricingSimulation {
           "min"
         );
         
+        dayChanges.push({
+          url: property.url,
+          date: dateString,
+          occupancy: currentOccupancy,
+          minPrice: { before: currentMinPrice, after: newMinPrice },
+          basePrice: { before: currentBasePrice, after: newBasePrice }
+        });
+        
         // Calculate new daily occupancy based on price changes, seasonality, etc.
         const newDailyOccupancy = this.calculateNewOccupancy(
           property,
@@ -179,6 +323,9 @@ class PricingSimulation {
         
         console.log(`  ${property.name}: Occupancy: ${(newDailyOccupancy * 100).toFixed(1)}%, Base Price: $${newBasePrice} (${newBasePrice > currentBasePrice ? "+" : ""}${((newBasePrice - currentBasePrice) / currentBasePrice * 100).toFixed(1)}%)`);
       }
+      
+      // Log the day's changes for the next day's run
+      this.changeLog = { lastRun: dateString, changes: [...dayChanges, ...this.changeLog.changes] };
     }
     
     // Save simulation results
@@ -212,7 +359,7 @@ class PricingSimulation {
     const weekendEffect = isWeekend ? (1 + property.weekendPremium) : 1;
     
     // Random variation - simulate unpredictable market factors
-    const randomEffect = 1 + (Math.random() * 2 - 1) * property.randomVariation;
+    const randomEffect = 1 + (this.random() * 2 - 1) * property.randomVariation;
     
     // Calculate booking probability adjusted by all factors
     const adjustedBookingProbability = property.baselineBookingProbability * 
@@ -236,9 +383,15 @@ class PricingSimulation {
    */
   async saveResults() {
     const filename = path.join(__dirname, "simulation_results.json");
+    const results = {
+      seed: this.seed,
+      startDate: this.startDate,
+      strategyPlugin: this.strategy.getStrategyPlugin(null).name,
+      properties: this.simulationResults
+    };
     await fs.writeFile(
       filename,
-      JSON.stringify(this.simulationResults, null, 2),
+      JSON.stringify(results, null, 2),
       "utf8"
     );
     
@@ -289,7 +442,8 @@ class PricingSimulation {
 </head>
 <body>
   <h1>PriceLabs Pricing Strategy Simulation</h1>
-  <p>This visualization shows 90 days of simulated pricing adjustments and occupancy rates.</p>
+  <p>This visualization shows ${this.simulationDays} days of simulated pricing adjustments and occupancy rates,
+    starting ${this.startDate} (seed: ${this.seed}; rerun with <code>--seed=${this.seed} --start-date=${this.startDate}</code>).</p>
 `;
     
     // Add sections for each property
@@ -561,5 +715,5 @@ class PricingSimulation {
 }
 
 // Run the simulation
-const simulation = await new PricingSimulation().initialize();
+const simulation = await new PricingSimulation({ seed, startDate, days, profiles }).initialize();
 await simulation.runSimulation(); 
\ No newline at end of file
@@ -0,0 +1,166 @@
+import net from "net";
+import os from "os";
+import tls from "tls";
+
+/**
+ * Minimal SMTP client for notification emails: plain text messages, sent over
+ * implicit TLS ("secure", usually port 465) or a plain connection that is
+ * upgraded with STARTTLS whenever the server offers it, with AUTH PLAIN when
+ * a user is given.
+ */
+
+// SMTP lines end in CRLF
+const CRLF = "\r\n";
+
+/**
+ * Open a connection that reads SMTP replies
+ * @param {Object} socket - Connected socket (net or tls)
+ * @param {number} timeoutMs - Give up when the server doesn't answer for this long
+ * @returns {{reply: Function, send: Function, close: Function}} - reply() resolves with the
+ *   next reply ({ code, lines }), send(command, expected) writes a command and checks the reply's code
+ */
+function openConnection(socket, timeoutMs) {
+  let buffer = "";
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  const deliver = (reply) => (waiting.length > 0 ? waiting.shift().resolve(reply) : replies.push(reply));
+  const fail = (error) => {
+    failure = failure || error;
+    while (waiting.length > 0) waiting.shift().reject(failure);
+  };
+
+  socket.setTimeout(timeoutMs, () => {
+    fail(new Error(`SMTP server did not answer within ${timeoutMs} ms`));
+    socket.destroy();
+  });
+  socket.on("error", fail);
+  socket.on("close", () => fail(new Error("SMTP server closed the connection")));
+  socket.on("data", (chunk) => {
+    buffer += chunk.toString("utf8");
+    let end;
+    while ((end = buffer.indexOf(CRLF)) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + CRLF.length);
+      lines.push(line.slice(4));
+      // "250-..." continues a reply, "250 ..." ends it
+      if (line[3] !== "-") {
+        deliver({ code: Number(line.slice(0, 3)), lines });
+        lines = [];
+      }
+    }
+  });
+
+  const reply = () => {
+    if (replies.length > 0) return Promise.resolve(replies.shift());
+    if (failure) return Promise.reject(failure);
+    return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+  };
+
+  return {
+    reply,
+    async send(command, expected) {
+      socket.write(command + CRLF);
+      const response = await reply();
+      if (![].concat(expected).includes(response.code)) {
+        // Never echo credentials in the error
+        const shown = command.startsWith("AUTH") ? "AUTH" : command.split(CRLF)[0];
+        throw new Error(`SMTP server answered ${response.code} ${response.lines.join(" ")} to ${shown}`);
+      }
+      return response;
+    },
+    close: () => socket.end()
+  };
+}
+
+/**
+ * Connect a socket
+ * @param {Function} connect - net.connect or tls.connect
+ * @param {Object} options - Connection options
+ * @returns {Promise<Object>} - Connected socket
+ */
+function connectSocket(connect, options) {
+  return new Promise((resolve, reject) => {
+    const socket = connect(options, () => {
+      socket.off("error", reject);
+      resolve(socket);
+    });
+    socket.once("error", reject);
+  });
+}
+
+/**
+ * Encode a header value, using RFC 2047 for non-ASCII text
+ * @param {string} value - Header value
+ * @returns {string} - Encoded value
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7E]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+}
+
+/**
+ * Build the message text: headers, a blank line and the dot-stuffed body
+ * @param {Object} message - Message ({ from, to, subject, text })
+ * @returns {string} - Message, ready to send after DATA (without the final ".")
+ */
+function buildMessage({ from, to, subject, text }) {
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${Date.now()}.${process.pid}@${os.hostname()}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit"
+  ];
+  const body = text.replace(/\r?\n/g, CRLF).split(CRLF).map((line) => (line.startsWith(".") ? `.${line}` : line));
+  return [...headers, "", ...body].join(CRLF);
+}
+
+/**
+ * Send a plain text email
+ * @param {Object} server - SMTP server ({ host, port, secure, user, password, timeoutMs })
+ * @param {Object} message - Message ({ from, to: [addresses], subject, text })
+ * @returns {Promise<void>}
+ * @throws {Error} - If the connection fails or the server refuses the message
+ */
+export async function sendMail(server, message) {
+  const { host, secure = false, user = null, password = null, timeoutMs = 30000 } = server;
+  const port = server.port || (secure ? 465 : 25);
+
+  let socket = await connectSocket(secure ? tls.connect : net.connect, { host, port, servername: host });
+  let connection = openConnection(socket, timeoutMs);
+  try {
+    const greeting = await connection.reply();
+    if (greeting.code !== 220) {
+      throw new Error(`SMTP server greeted with ${greeting.code} ${greeting.lines.join(" ")}`);
+    }
+
+    const extensions = (await connection.send(`EHLO ${os.hostname()}`, 250)).lines;
+    if (!secure && extensions.some((line) => line.toUpperCase() === "STARTTLS")) {
+      await connection.send("STARTTLS", 220);
+      socket.removeAllListeners("data");
+      socket = await connectSocket(tls.connect, { socket, servername: host });
+      connection = openConnection(socket, timeoutMs);
+      await connection.send(`EHLO ${os.hostname()}`, 250);
+    }
+
+    if (user) {
+      const credentials = Buffer.from(`\0${user}\0${password || ""}`, "utf8").toString("base64");
+      await connection.send(`AUTH PLAIN ${credentials}`, 235);
+    }
+
+    await connection.send(`MAIL FROM:<${message.from.replace(/^.*<|>$/g, "")}>`, 250);
+    for (const recipient of message.to) {
+      await connection.send(`RCPT TO:<${recipient.replace(/^.*<|>$/g, "")}>`, [250, 251]);
+    }
+    await connection.send("DATA", 354);
+    await connection.send(`${buildMessage(message)}${CRLF}.`, 250);
+    await connection.send("QUIT", 221);
+  } finally {
+    connection.close();
+  }
+}
@@ -0,0 +1,252 @@
+import { Database } from "bun:sqlite";
+import { getListingId } from "./listing.js";
+import { isAppliedAdjustment, parseOccupancy } from "./history.js";
+
+/**
+ * SQLite history store (a local database file, through Bun's built-in SQLite).
+ * It holds the same runs as the ledger, split into listings, runs, occupancy
+ * snapshots, price changes and errors, and answers the query API of history.js
+ * with indexed queries instead of scanning every run. Each change of a run is
+ * identified by its run ID and its position in the run (seq).
+ */
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS listings (
+    id TEXT PRIMARY KEY,
+    url TEXT NOT NULL,
+    first_seen TEXT NOT NULL,
+    last_seen TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS runs (
+    run_id TEXT PRIMARY KEY,
+    mode TEXT,
+    date TEXT NOT NULL,
+    started_at TEXT,
+    finished_at TEXT,
+    interrupted INTEGER NOT NULL DEFAULT 0,
+    config_hash TEXT,
+    strategy_version TEXT
+  );
+  CREATE TABLE IF NOT EXISTS occupancy_snapshots (
+    run_id TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    listing_id TEXT NOT NULL,
+    url TEXT NOT NULL,
+    date TEXT NOT NULL,
+    seven_day REAL NOT NULL,
+    thirty_day REAL NOT NULL,
+    sixty_day REAL NOT NULL,
+    raw TEXT NOT NULL,
+    paused INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (run_id, seq)
+  );
+  CREATE TABLE IF NOT EXISTS price_changes (
+    run_id TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    listing_id TEXT NOT NULL,
+    url TEXT NOT NULL,
+    date TEXT NOT NULL,
+    min_before REAL,
+    min_after REAL,
+    base_before REAL,
+    base_after REAL,
+    status TEXT,
+    applied INTEGER NOT NULL,
+    details TEXT NOT NULL,
+    PRIMARY KEY (run_id, seq)
+  );
+  CREATE TABLE IF NOT EXISTS errors (
+    run_id TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    listing_id TEXT NOT NULL,
+    url TEXT NOT NULL,
+    date TEXT NOT NULL,
+    message TEXT NOT NULL,
+    PRIMARY KEY (run_id, seq)
+  );
+  CREATE INDEX IF NOT EXISTS occupancy_by_listing ON occupancy_snapshots (listing_id, date);
+  CREATE INDEX IF NOT EXISTS price_changes_by_listing ON price_changes (listing_id, date);
+  CREATE INDEX IF NOT EXISTS errors_by_listing ON errors (listing_id, date);
+`;
+
+// Fields of a change that have columns of their own (the rest goes into price_changes.details)
+const COLUMN_FIELDS = ["url", "listingId", "date", "runId", "occupancy", "minPrice", "basePrice", "status", "error", "paused"];
+
+// Newest run first (a run recorded again counts as recorded last), in run order within a run
+const HISTORY_ORDER = "runs.date DESC, runs.rowid DESC, seq ASC";
+
+/**
+ * Open (or create) a SQLite history store
+ * @param {string} databaseFile - Path to the database file
+ * @returns {Object} - History store: the query API of history.js, plus recordRun(),
+ *   importRuns(), getRunIds() and close()
+ */
+export function openSqliteHistory(databaseFile) {
+  const db = new Database(databaseFile, { create: true });
+  db.exec("PRAGMA journal_mode = WAL;");
+  db.exec(SCHEMA);
+
+  const statements = {
+    deleteRun: ["runs", "occupancy_snapshots", "price_changes", "errors"]
+      .map((table) => db.query(`DELETE FROM ${table} WHERE run_id = ?`)),
+    insertRun: db.query(`INSERT INTO runs (run_id, mode, date, started_at, finished_at, interrupted, config_hash, strategy_version)
+      VALUES ($runId, $mode, $date, $startedAt, $finishedAt, $interrupted, $configHash, $strategyVersion)`),
+    upsertListing: db.query(`INSERT INTO listings (id, url, first_seen, last_seen) VALUES ($id, $url, $date, $date)
+      ON CONFLICT (id) DO UPDATE SET
+        url = CASE WHEN excluded.last_seen >= listings.last_seen THEN excluded.url ELSE listings.url END,
+        first_seen = MIN(listings.first_seen, excluded.first_seen),
+        last_seen = MAX(listings.last_seen, excluded.last_seen)`),
+    insertOccupancy: db.query(`INSERT INTO occupancy_snapshots (run_id, seq, listing_id, url, date, seven_day, thirty_day, sixty_day, raw, paused)
+      VALUES ($runId, $seq, $listingId, $url, $date, $sevenDay, $thirtyDay, $sixtyDay, $raw, $paused)`),
+    insertPriceChange: db.query(`INSERT INTO price_changes (run_id, seq, listing_id, url, date, min_before, min_after, base_before, base_after, status, applied, details)
+      VALUES ($runId, $seq, $listingId, $url, $date, $minBefore, $minAfter, $baseBefore, $baseAfter, $status, $applied, $details)`),
+    insertError: db.query(`INSERT INTO errors (run_id, seq, listing_id, url, date, message)
+      VALUES ($runId, $seq, $listingId, $url, $date, $message)`),
+    listingIds: db.query("SELECT id FROM listings ORDER BY id"),
+    runIds: db.query("SELECT run_id FROM runs"),
+    listingHistory: db.query(`
+      WITH entries AS (
+        SELECT run_id, seq, url, date FROM occupancy_snapshots WHERE listing_id = $listingId
+        UNION SELECT run_id, seq, url, date FROM price_changes WHERE listing_id = $listingId
+        UNION SELECT run_id, seq, url, date FROM errors WHERE listing_id = $listingId
+      )
+      SELECT entries.run_id, seq, entries.url, entries.date,
+        occupancy_snapshots.raw, occupancy_snapshots.paused,
+        price_changes.min_before, price_changes.min_after, price_changes.base_before, price_changes.base_after,
+        price_changes.status, price_changes.details, errors.message
+      FROM entries
+      JOIN runs USING (run_id)
+      LEFT JOIN occupancy_snapshots USING (run_id, seq)
+      LEFT JOIN price_changes USING (run_id, seq)
+      LEFT JOIN errors USING (run_id, seq)
+      WHERE entries.run_id IS NOT $excludeRunId
+      ORDER BY ${HISTORY_ORDER}`),
+    occupancySeries: db.query(`
+      SELECT occupancy_snapshots.date, seven_day, thirty_day, sixty_day
+      FROM occupancy_snapshots JOIN runs USING (run_id)
+      WHERE listing_id = $listingId AND run_id IS NOT $excludeRunId
+      ORDER BY ${HISTORY_ORDER}`),
+    adjustmentsSince: db.query(`
+      SELECT price_changes.date, run_id, min_before, min_after, base_before, base_after
+      FROM price_changes JOIN runs USING (run_id)
+      WHERE listing_id = $listingId AND applied = 1 AND price_changes.date >= $sinceDate AND run_id IS NOT $excludeRunId
+      ORDER BY ${HISTORY_ORDER}`)
+  };
+
+  /**
+   * Write a run and its changes, replacing the run if it was recorded before
+   * @param {Object} run - Run ({ runId, mode, date, startedAt, finishedAt, interrupted, configHash, strategyVersion })
+   * @param {Array<Object>} changes - Changes of the run, one per listing
+   */
+  function writeRun(run, changes) {
+    for (const statement of statements.deleteRun) {
+      statement.run(run.runId);
+    }
+    statements.insertRun.run({
+      $runId: run.runId,
+      $mode: run.mode || null,
+      $date: run.date,
+      $startedAt: run.startedAt || null,
+      $finishedAt: run.finishedAt || null,
+      $interrupted: run.interrupted ? 1 : 0,
+      $configHash: run.configHash || null,
+      $strategyVersion: run.strategyVersion || null
+    });
+
+    changes.forEach((change, seq) => {
+      const key = {
+        $runId: run.runId,
+        $seq: seq,
+        $listingId: change.listingId || getListingId(change.url),
+        $url: change.url,
+        $date: change.date || run.date
+      };
+      statements.upsertListing.run({ $id: key.$listingId, $url: key.$url, $date: key.$date });
+
+      if (change.error) {
+        statements.insertError.run({ ...key, $message: change.error });
+        return;
+      }
+      if (change.occupancy) {
+        const occupancy = parseOccupancy(change);
+        statements.insertOccupancy.run({
+          ...key,
+          $sevenDay: occupancy.sevenDay,
+          $thirtyDay: occupancy.thirtyDay,
+          $sixtyDay: occupancy.sixtyDay,
+          $raw: JSON.stringify(change.occupancy),
+          $paused: change.paused ? 1 : 0
+        });
+      }
+      if (change.minPrice || change.basePrice) {
+        const details = Object.fromEntries(Object.entries(change).filter(([field]) => !COLUMN_FIELDS.includes(field)));
+        statements.insertPriceChange.run({
+          ...key,
+          $minBefore: change.minPrice ? change.minPrice.before : null,
+          $minAfter: change.minPrice ? change.minPrice.after : null,
+          $baseBefore: change.basePrice ? change.basePrice.before : null,
+          $baseAfter: change.basePrice ? change.basePrice.after : null,
+          $status: change.status || null,
+          $applied: isAppliedAdjustment(change) ? 1 : 0,
+          $details: JSON.stringify(details)
+        });
+      }
+    });
+  }
+
+  const recordRuns = db.transaction((runs) => {
+    for (const { run, changes } of runs) {
+      writeRun(run, changes);
+    }
+  });
+
+  return {
+    getListingIds: () => statements.listingIds.all().map((row) => row.id),
+
+    getListingHistory: (listingId, { excludeRunId = null } = {}) => statements.listingHistory
+      .all({ $listingId: listingId, $excludeRunId: excludeRunId })
+      .map((row) => ({
+        url: row.url,
+        listingId,
+        date: row.date,
+        runId: row.run_id,
+        ...(row.raw !== null ? { occupancy: JSON.parse(row.raw) } : {}),
+        ...(row.min_before !== null ? { minPrice: { before: row.min_before, after: row.min_after } } : {}),
+        ...(row.base_before !== null ? { basePrice: { before: row.base_before, after: row.base_after } } : {}),
+        ...(row.status !== null ? { status: row.status } : {}),
+        ...(row.details !== null ? JSON.parse(row.details) : {}),
+        ...(row.paused ? { paused: true } : {}),
+        ...(row.message !== null ? { error: row.message } : {})
+      })),
+
+    getOccupancySeries: (listingId, { excludeRunId = null } = {}) => statements.occupancySeries
+      .all({ $listingId: listingId, $excludeRunId: excludeRunId })
+      .map((row) => ({ date: row.date, sevenDay: row.seven_day, thirtyDay: row.thirty_day, sixtyDay: row.sixty_day })),
+
+    getAdjustmentsSince: (listingId, sinceDate = null, { excludeRunId = null } = {}) => statements.adjustmentsSince
+      .all({ $listingId: listingId, $sinceDate: sinceDate || "", $excludeRunId: excludeRunId })
+      .map((row) => ({
+        date: row.date,
+        runId: row.run_id,
+        minPrice: { before: row.min_before, after: row.min_after },
+        basePrice: { before: row.base_before, after: row.base_after }
+      })),
+
+    /**
+     * Record a run and its changes in one transaction, replacing the run if it was recorded before
+     * @param {Object} run - Run ({ runId, mode, date, startedAt, finishedAt, interrupted, configHash, strategyVersion })
+     * @param {Array<Object>} changes - Changes of the run, one per listing
+     */
+    recordRun: (run, changes) => recordRuns([{ run, changes }]),
+
+    /**
+     * Import runs (e.g. from the ledger) in one transaction
+     * @param {Array<{run: Object, changes: Array<Object>}>} runs - Runs with their changes
+     */
+    importRuns: (runs) => recordRuns(runs),
+
+    getRunIds: () => statements.runIds.all().map((row) => row.run_id),
+
+    close: () => db.close()
+  };
+}
@@ -0,0 +1,16 @@
+import path from "path";
+import { pathToFileURL } from "url";
+import { registerStrategy } from "./registry.js";
+
+/**
+ * Import and register the strategy modules listed in config.json (Node only)
+ * @param {Array<string>} modulePaths - Module paths, relative to baseDir
+ * @param {string} baseDir - Directory the paths are resolved against
+ */
+export async function loadStrategyModules(modulePaths = [], baseDir = process.cwd()) {
+  for (const modulePath of modulePaths) {
+    const resolved = path.resolve(baseDir, modulePath);
+    const module = await import(pathToFileURL(resolved).href);
+    registerStrategy(module.default);
+  }
+}
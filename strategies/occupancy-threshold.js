@@ -0,0 +1,338 @@
+/**
+ * Default strategy plugin: picks increase/decrease/hold from occupancy thresholds
+ * and recent adjustment history, then sizes the adjustment by occupancy level.
+ */
+
+/**
+ * Decide which strategy to use for a property
+ * @param {Object} context - Strategy context built by PricingStrategy
+ * @returns {string} - Strategy to use: "increase", "decrease", or "hold"
+ */
+function decide(context) {
+  const { config, propertyUrl, occupancy, weights, thresholds, stats, now, log } = context;
+  const { forceHold: forceHoldRules, increaseCap } = context.policy.guardrails;
+
+  // Use global strategy as default
+  let strategy = config.strategy;
+
+  const current7DayOcc = occupancy.sevenDay;
+  const weightedOcc = occupancy.weighted;
+
+  // Log the occupancy rates and weights we're using
+  log(`Strategy analysis for ${propertyUrl}:`);
+  log(`  7-day occupancy: ${(occupancy.sevenDay * 100).toFixed(2)}% (weight: ${weights.sevenDay})`);
+  log(`  30-day occupancy: ${(occupancy.thirtyDay * 100).toFixed(2)}% (weight: ${weights.thirtyDay})`);
+  log(`  60-day occupancy: ${(occupancy.sixtyDay * 100).toFixed(2)}% (weight: ${weights.sixtyDay})`);
+  log(`  Weighted occupancy: ${(weightedOcc * 100).toFixed(2)}%`);
+
+  // First check if we should force a HOLD based on recent adjustment history
+  let forceHold = false;
+  let consecutiveIncreases = 0;
+  let consecutiveDecreases = 0;
+  let cumulativeIncrease = 0;
+  let cumulativeDecrease = 0;
+
+  // Check for recent price changes within the increase cap window (7 days by default)
+  let sevenDayIncrease = 0;
+  let sevenDayDecrease = 0;
+
+  if (stats && stats.adjustmentHistory && stats.adjustmentHistory.length > 0) {
+    // Get recent adjustment history
+    const recentAdjustments = stats.adjustmentHistory.slice(-7); // Last 7 adjustments
+
+    // Start from most recent and go backwards
+    for (let i = recentAdjustments.length - 1; i >= 0; i--) {
+      const adjustment = recentAdjustments[i];
+
+      // Check if the adjustment was within the cap window
+      const adjustmentDate = new Date(adjustment.date);
+      const sevenDaysAgo = new Date(now);
+      sevenDaysAgo.setDate(sevenDaysAgo.getDate() - increaseCap.days);
+
+      if (adjustmentDate >= sevenDaysAgo) {
+        // Add to window totals for the cap check
+        if (adjustment.basePricePercentChange > 0) {
+          sevenDayIncrease += adjustment.basePricePercentChange;
+        } else if (adjustment.basePricePercentChange < 0) {
+          sevenDayDecrease += Math.abs(adjustment.basePricePercentChange);
+        }
+      }
+
+      if (adjustment.strategy === "increase" &&
+          (adjustment.minPricePercentChange > 0 || adjustment.basePricePercentChange > 0)) {
+        consecutiveIncreases++;
+        cumulativeIncrease += Math.max(adjustment.minPricePercentChange, adjustment.basePricePercentChange);
+        // Break chain if we encounter something else
+        if (consecutiveDecreases > 0) break;
+      }
+      else if (adjustment.strategy === "decrease" &&
+              (adjustment.minPricePercentChange < 0 || adjustment.basePricePercentChange < 0)) {
+        consecutiveDecreases++;
+        cumulativeDecrease += Math.abs(Math.min(adjustment.minPricePercentChange, adjustment.basePricePercentChange));
+        // Break chain if we encounter something else
+        if (consecutiveIncreases > 0) break;
+      }
+      else {
+        // Break the chain on hold or inconsistent strategy
+        break;
+      }
+    }
+
+    log(`  Recent adjustment history: ${consecutiveIncreases} consecutive increases (${cumulativeIncrease.toFixed(1)}% total), ${consecutiveDecreases} consecutive decreases (${cumulativeDecrease.toFixed(1)}% total)`);
+    log(`  Last ${increaseCap.days}-day price changes: +${sevenDayIncrease.toFixed(1)}%, -${sevenDayDecrease.toFixed(1)}%`);
+
+    // Force hold if consecutive increases total 3% or more (by default)
+    if (cumulativeIncrease >= forceHoldRules.cumulativeIncreasePercentage) {
+      log(`  Forcing HOLD strategy after increases totaling ${cumulativeIncrease.toFixed(1)}% (>=${forceHoldRules.cumulativeIncreasePercentage}% threshold)`);
+      forceHold = true;
+    }
+
+    // Force hold if we've increased by 4% or more in the last 7 days (by default)
+    if (sevenDayIncrease >= forceHoldRules.windowIncreasePercentage) {
+      log(`  Forcing HOLD strategy after ${increaseCap.days}-day increases totaling ${sevenDayIncrease.toFixed(1)}% (>=${forceHoldRules.windowIncreasePercentage}% threshold)`);
+      forceHold = true;
+    }
+
+    // Force hold after 3 consecutive decreases (by default)
+    if (consecutiveDecreases >= forceHoldRules.consecutiveDecreases) {
+      log(`  Forcing HOLD strategy after ${consecutiveDecreases} consecutive decreases totaling ${cumulativeDecrease.toFixed(1)}%`);
+      forceHold = true;
+    }
+  }
+
+  // If we're forcing a hold due to consecutive adjustments, return early
+  if (forceHold) {
+    return "hold";
+  }
+
+  // Now determine the appropriate strategy based on occupancy
+  if (current7DayOcc >= thresholds.high) {
+    log(`  HIGH OCCUPANCY DETECTED (${(current7DayOcc * 100).toFixed(1)}% ≥ ${thresholds.high*100}%)`);
+    strategy = "increase";
+  } else if (weightedOcc < thresholds.low && current7DayOcc < thresholds.medium) {
+    log(`  LOW OCCUPANCY DETECTED (${(weightedOcc * 100).toFixed(1)}% < ${thresholds.low*100}%)`);
+    strategy = "decrease";
+  } else if (stats) {
+    // If we have historical data for this property, refine strategy
+    const { trend, trendMethod, occupancyVsAverage, pickup, pickupSince } = context.metrics;
+    const criteria = context.policy.metrics.criteria;
+    log(`  Occupancy trend: ${trend.toFixed(2)} percentage points (${trendMethod})`);
+    if (occupancyVsAverage !== null) {
+      log(`  30-day occupancy: ${occupancyVsAverage >= 0 ? "+" : ""}${occupancyVsAverage.toFixed(2)} percentage points vs the average of past runs`);
+    }
+    if (pickup !== null) {
+      log(`  Pickup: ${pickup} nights since ${pickupSince}`);
+    }
+
+    // Criteria set to null in config are ignored
+    const above = (value, limit) => value !== null && limit !== null && value > limit;
+    const below = (value, limit) => value !== null && limit !== null && value < limit;
+    const pickingUp = pickup !== null && criteria.increasePickupAtLeast !== null && pickup >= criteria.increasePickupAtLeast;
+
+    // Switch strategy based on occupancy trends, occupancy against the average, pickup and current rates
+    if (trend > criteria.increaseTrendAbove || above(occupancyVsAverage, criteria.increaseAboveAverage) || pickingUp || current7DayOcc > 0.7) {
+      // Occupancy increasing significantly or high - increase prices
+      strategy = "increase";
+    } else if (trend < criteria.decreaseTrendBelow || below(occupancyVsAverage, criteria.decreaseBelowAverage) || weightedOcc < 0.45) {
+      // Occupancy decreasing significantly or generally low - decrease prices
+      strategy = "decrease";
+    } else {
+      // Stable occupancy in a good range - maintain current pricing with small oscillations
+      strategy = "hold";
+    }
+  }
+
+  log(`  Selected strategy: ${strategy}`);
+  return strategy;
+}
+
+/**
+ * Calculate the adjustment percentage for the decided strategy
+ * @param {string} strategy - Strategy returned by decide()
+ * @param {Object} context - Strategy context built by PricingStrategy
+ * @returns {number|null} - Adjustment in percent, or null to leave the price unchanged
+ */
+function adjust(strategy, context) {
+  const { config, priceType, occupancy, thresholds, stats, now, log } = context;
+  const { increaseCap, decreaseCap, capFallback } = context.policy.guardrails;
+  const multipliers = context.policy.multipliers;
+  const sevenDayOcc = occupancy.sevenDay;
+  const thirtyDayOcc = occupancy.thirtyDay;
+  const weightedOcc = occupancy.weighted;
+
+  // Determine adjustment percentage based on strategy and occupancy levels
+  let adjustmentPercentage = 0;
+  const dayOfWeek = now.getDay();
+
+  // Check for price change limits per rolling window
+  let sevenDayIncrease = 0;
+  let windowDecrease = 0;
+
+  // Get property stats for tracking oscillation direction
+  let lastOscillationDirection = null;
+
+  if (stats) {
+    // Get the last oscillation direction if it exists
+    if (stats.lastOscillationDirection !== undefined) {
+      lastOscillationDirection = stats.lastOscillationDirection;
+    }
+
+    if (stats.adjustmentHistory && stats.adjustmentHistory.length > 0) {
+      // Calculate total price increases over the increase cap window (7 days by default)
+      const sevenDaysAgo = new Date(now);
+      sevenDaysAgo.setDate(now.getDate() - increaseCap.days);
+      const decreaseWindowStart = new Date(now);
+      decreaseWindowStart.setDate(now.getDate() - decreaseCap.days);
+
+      for (const adjustment of stats.adjustmentHistory) {
+        const adjustmentDate = new Date(adjustment.date);
+        const changeToUse = priceType === "min" ?
+          adjustment.minPricePercentChange :
+          adjustment.basePricePercentChange;
+
+        // Add positive changes to the increase total
+        if (adjustmentDate >= sevenDaysAgo && changeToUse > 0) {
+          sevenDayIncrease += changeToUse;
+        }
+
+        // And negative changes to the decrease total
+        if (adjustmentDate >= decreaseWindowStart && changeToUse < 0) {
+          windowDecrease += Math.abs(changeToUse);
+        }
+      }
+    }
+  }
+
+  // Cap a planned decrease to what is left of the decrease cap, if one is configured
+  const capDecrease = (plannedPercentage) => {
+    if (decreaseCap.percentage === null || windowDecrease + Math.abs(plannedPercentage) <= decreaseCap.percentage) {
+      return plannedPercentage;
+    }
+    const allowed = Math.max(0, decreaseCap.percentage - windowDecrease);
+    log(`  CAPPING DECREASE: Total ${decreaseCap.days}-day decreases of ${windowDecrease.toFixed(1)}% + planned ${Math.abs(plannedPercentage).toFixed(1)}% would exceed ${decreaseCap.percentage}% cap`);
+    log(`  Reducing decrease from ${Math.abs(plannedPercentage).toFixed(1)}% to ${allowed.toFixed(1)}%`);
+    return -allowed;
+  };
+
+  switch (strategy) {
+  case "increase":
+    // Progressive increases based on occupancy level
+    if (sevenDayOcc >= 0.95) { // 95%+ occupancy
+      // Very high occupancy - significant increase
+      adjustmentPercentage = config.adjustments.increase.percentage * multipliers.increase.veryHighOccupancy;
+      log(`  VERY HIGH occupancy (${(sevenDayOcc * 100).toFixed(1)}%) - applying ${adjustmentPercentage.toFixed(1)}% increase`);
+    } else if (sevenDayOcc >= thresholds.high) { // High occupancy threshold
+      // High occupancy - moderate increase
+      adjustmentPercentage = config.adjustments.increase.percentage * multipliers.increase.highOccupancy;
+      log(`  HIGH occupancy (${(sevenDayOcc * 100).toFixed(1)}%) - applying ${adjustmentPercentage.toFixed(1)}% increase`);
+    } else {
+      // Normal increase
+      adjustmentPercentage = config.adjustments.increase.percentage;
+      log(`  Standard increase - applying ${adjustmentPercentage.toFixed(1)}%`);
+    }
+
+    // Cap price increases (5% in 7 days by default)
+    if (sevenDayIncrease + adjustmentPercentage > increaseCap.percentage) {
+      const newAdjustment = Math.max(0, increaseCap.percentage - sevenDayIncrease);
+      log(`  CAPPING INCREASE: Total ${increaseCap.days}-day increases of ${sevenDayIncrease.toFixed(1)}% + planned ${adjustmentPercentage.toFixed(1)}% would exceed ${increaseCap.percentage}% cap`);
+      log(`  Reducing adjustment from ${adjustmentPercentage.toFixed(1)}% to ${newAdjustment.toFixed(1)}%`);
+      adjustmentPercentage = newAdjustment;
+
+      // If adjustment would be too small (< 1%), oscillate (-1%) instead of hold
+      if (adjustmentPercentage < capFallback.minAdjustmentPercentage) {
+        log(`  Adjustment would be too small (${adjustmentPercentage.toFixed(1)}%), switching to ${capFallback.adjustmentPercentage}% oscillation instead of HOLD`);
+        adjustmentPercentage = capFallback.adjustmentPercentage;
+      }
+    }
+    break;
+
+  case "decrease":
+    // Progressive decreases based on how low occupancy is
+    if (weightedOcc < thresholds.critical) { // Extremely low occupancy across all periods
+      // Critical low occupancy - aggressive decrease
+      adjustmentPercentage = -config.adjustments.decrease.percentage * multipliers.decrease.criticalOccupancy;
+      log(`  CRITICALLY LOW occupancy (${(weightedOcc * 100).toFixed(1)}%) - applying ${Math.abs(adjustmentPercentage).toFixed(1)}% decrease`);
+    } else if (sevenDayOcc < 0.30 && thirtyDayOcc < thresholds.low) {
+      // Very low occupancy - strong decrease
+      adjustmentPercentage = -config.adjustments.decrease.percentage * multipliers.decrease.veryLowOccupancy;
+      log(`  VERY LOW occupancy (${(sevenDayOcc * 100).toFixed(1)}%) - applying ${Math.abs(adjustmentPercentage).toFixed(1)}% decrease`);
+    } else {
+      // Standard decrease
+      adjustmentPercentage = -config.adjustments.decrease.percentage;
+      log(`  LOW occupancy (${(sevenDayOcc * 100).toFixed(1)}%) - applying ${Math.abs(adjustmentPercentage).toFixed(1)}% decrease`);
+    }
+
+    adjustmentPercentage = capDecrease(adjustmentPercentage);
+    break;
+
+  case "hold":
+    // Only apply oscillation if occupancy is in a healthy range
+    if (weightedOcc >= thresholds.low && weightedOcc <= thresholds.high) {
+      const baseOsc = config.adjustments.hold.oscillationPercentage;
+
+      // Determine oscillation direction based on previous oscillation
+      let oscillationDirection = 1;  // Default to upward
+
+      // If we have a previous oscillation, do the opposite
+      if (lastOscillationDirection !== null) {
+        oscillationDirection = lastOscillationDirection > 0 ? -1 : 1;
+        log(`  Using opposite direction of last oscillation (${lastOscillationDirection > 0 ? "up" : "down"})`);
+      }
+
+      // Adjust oscillation magnitude based on weekend
+      const isWeekend = (dayOfWeek === 0 || dayOfWeek === 6);
+      const oscillationMagnitude = isWeekend ?
+        (oscillationDirection > 0 ? baseOsc * multipliers.weekendOscillation.up : baseOsc * multipliers.weekendOscillation.down) :
+        baseOsc;
+
+      // Calculate the adjustment with the correct direction
+      adjustmentPercentage = oscillationDirection * oscillationMagnitude;
+
+      // Cap any positive adjustment during HOLD if we're near the increase cap
+      if (adjustmentPercentage > 0 && sevenDayIncrease + adjustmentPercentage > increaseCap.percentage - increaseCap.holdMarginPercentage) {
+        adjustmentPercentage = capFallback.adjustmentPercentage; // Force a downward oscillation
+        log(`  HOLD oscillation changed to ${capFallback.adjustmentPercentage}% - already near ${increaseCap.days}-day increase limit`);
+      } else {
+        log(`  HOLD strategy - applying ${adjustmentPercentage > 0 ? "+" : ""}${adjustmentPercentage.toFixed(1)}% oscillation`);
+      }
+
+      // Store this oscillation direction for next time
+      if (stats) {
+        stats.lastOscillationDirection = adjustmentPercentage;
+      }
+    } else if (weightedOcc < thresholds.low) {
+      // Even though strategy is "hold", occupancy is too low, so decrease
+      adjustmentPercentage = -config.adjustments.decrease.percentage * multipliers.holdOverride;
+      log(`  HOLD strategy overridden due to low occupancy (${(weightedOcc * 100).toFixed(1)}%) - applying ${Math.abs(adjustmentPercentage).toFixed(1)}% decrease`);
+      adjustmentPercentage = capDecrease(adjustmentPercentage);
+    } else {
+      // Even though strategy is "hold", occupancy is high, so increase
+      // But make sure we don't exceed the increase cap
+      adjustmentPercentage = config.adjustments.increase.percentage * multipliers.holdOverride;
+
+      if (sevenDayIncrease + adjustmentPercentage > increaseCap.percentage) {
+        const newAdjustment = Math.max(0, increaseCap.percentage - sevenDayIncrease);
+        log(`  CAPPING HOLD INCREASE: Total ${increaseCap.days}-day increases of ${sevenDayIncrease.toFixed(1)}% + planned ${adjustmentPercentage.toFixed(1)}% would exceed ${increaseCap.percentage}% cap`);
+        log(`  Reducing adjustment from ${adjustmentPercentage.toFixed(1)}% to ${newAdjustment.toFixed(1)}%`);
+        adjustmentPercentage = newAdjustment;
+      } else {
+        log(`  HOLD strategy overridden due to high occupancy (${(weightedOcc * 100).toFixed(1)}%) - applying ${adjustmentPercentage.toFixed(1)}% increase`);
+      }
+    }
+    break;
+
+  default:
+    log("  No valid strategy found, making no changes");
+    return null;
+  }
+
+  return adjustmentPercentage;
+}
+
+export default {
+  name: "occupancy-threshold",
+  version: "1.0.0",
+  description: "Occupancy thresholds with force-hold rules, a 7-day increase cap and hold oscillation",
+  decide,
+  adjust
+};
@@ -0,0 +1,65 @@
+import occupancyThreshold from "./occupancy-threshold.js";
+
+/**
+ * Registry of pricing strategy plugins.
+ *
+ * A plugin is an object with:
+ *  - name: unique name used to select it in config.json
+ *  - decide(context): returns the strategy to use ("increase", "decrease" or "hold")
+ *  - adjust(strategy, context): returns the adjustment in percent, or null for no change
+ *  - version (optional): recorded with every change in the ledger, to tell results
+ *    of different revisions of the plugin apart
+ *
+ * Plugins should report their reasoning through context.log() rather than
+ * console, so they run unchanged in the bot, the simulator and the browser.
+ * This module has no Node dependencies; loadStrategyModules() lives in
+ * ./load-modules.js.
+ */
+
+// Strategy used when config.json does not select one
+export const DEFAULT_STRATEGY = "occupancy-threshold";
+
+const plugins = new Map();
+
+/**
+ * Register a strategy plugin
+ * @param {Object} plugin - Strategy plugin ({ name, decide, adjust })
+ * @throws {Error} - If the plugin is malformed or the name is already taken
+ */
+export function registerStrategy(plugin) {
+  if (!plugin || typeof plugin.name !== "string" || plugin.name === "") {
+    throw new Error("Strategy plugin must have a non-empty \"name\"");
+  }
+  if (typeof plugin.decide !== "function" || typeof plugin.adjust !== "function") {
+    throw new Error(`Strategy plugin "${plugin.name}" must export decide() and adjust() functions`);
+  }
+  if (plugins.has(plugin.name) && plugins.get(plugin.name) !== plugin) {
+    throw new Error(`A strategy plugin named "${plugin.name}" is already registered`);
+  }
+
+  plugins.set(plugin.name, plugin);
+}
+
+/**
+ * Look up a registered strategy plugin
+ * @param {string} name - Plugin name
+ * @returns {Object} - The plugin
+ * @throws {Error} - If no plugin with that name is registered
+ */
+export function getStrategy(name) {
+  const plugin = plugins.get(name);
+  if (!plugin) {
+    throw new Error(`Unknown strategy plugin "${name}". Registered plugins: ${listStrategies().join(", ")}`);
+  }
+  return plugin;
+}
+
+/**
+ * List the names of all registered strategy plugins
+ * @returns {Array<string>} - Plugin names
+ */
+export function listStrategies() {
+  return [...plugins.keys()];
+}
+
+registerStrategy(occupancyThreshold);
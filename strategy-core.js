@@ -0,0 +1,491 @@
+import { DEFAULT_STRATEGY, getStrategy } from "./strategies/registry.js";
+import { getListingId } from "./listing.js";
+import { resolvePropertyConfig, validatePropertyOverrides } from "./property-config.js";
+import { applyPriceLimits, checkHardLimits, findReferencePrice, getPriceLimits } from "./guardrails.js";
+import { resolvePolicy } from "./policy.js";
+import { summarizeCalendar } from "./calendar.js";
+import { calculateBookingMetrics, calculateTrend, getOccupancySeries } from "./metrics.js";
+import { createMemoryHistory, parseOccupancyRate } from "./history.js";
+
+// Logger used when none is given: the core itself never writes to the console
+const SILENT_LOGGER = { log() {}, error() {} };
+
+// Clock used when none is given: the real current time
+const SYSTEM_CLOCK = { now: () => new Date() };
+
+/**
+ * Environment-neutral pricing strategy: analyzes past performance and calculates
+ * price adjustments. It has no file system access and only reports progress
+ * through the logger it is given, so the bot (via strategy.js), simulate.js and
+ * simulate.html all run the same code.
+ */
+class PricingStrategyCore {
+  /**
+   * @param {Object} [options] - Core options
+   * @param {{log: Function, error: Function}} [options.logger] - Receives progress messages (silent by default)
+   * @param {{now: Function}} [options.clock] - Returns the "as of" Date for all date logic and
+   *   record stamps (the system clock by default; simulations and backfills pass their own)
+   * @param {string} [options.runId] - ID of the bot run, stamped on its changes so that a
+   *   resumed run is recognized as the same run
+   */
+  constructor({ logger = SILENT_LOGGER, clock = SYSTEM_CLOCK, runId = null } = {}) {
+    this.logger = logger;
+    this.clock = clock;
+    this.runId = runId;
+    this.config = null;
+    this.history = createMemoryHistory([]); // Query API over past runs (see history.js)
+    this.propertyStats = new Map(); // Store stats by listing ID
+    this.propertyConfigs = new Map(); // Effective config by listing ID
+    this.clamps = new Map(); // Guardrail clamps by property URL
+    this.calendars = new Map(); // Upcoming calendar nights by listing ID
+    this.previousCalendars = new Map(); // Latest earlier calendar snapshot by listing ID
+    this.globalPolicy = null; // Resolved global guardrails and multipliers
+  }
+
+  /**
+   * Set and validate the configuration. Strategy plugins named in it must
+   * already be registered.
+   * @param {Object} config - Configuration object
+   * @returns {PricingStrategyCore} - This instance
+   */
+  configure(config) {
+    this.config = config;
+    this.propertyConfigs.clear();
+    
+    // Make sure the selected strategy plugins exist
+    validatePropertyOverrides(config);
+    this.getStrategyPlugin(null);
+    const overrides = [
+      ...Object.values(config.groups || {}),
+      ...Object.values(config.properties || {})
+    ];
+    for (const override of overrides) {
+      if (override.strategyPlugin) getStrategy(override.strategyPlugin);
+    }
+    
+    // Validate the guardrails and multipliers, globally and for every overridden listing
+    this.globalPolicy = resolvePolicy(config);
+    const overriddenListings = [
+      ...Object.keys(config.properties || {}),
+      ...Object.values(config.groups || {}).flatMap(group => group.listings || [])
+    ];
+    for (const listingId of overriddenListings) {
+      this.getPropertyConfig(String(listingId));
+    }
+    
+    return this;
+  }
+  
+  /**
+   * Load historical changes from parsed change log data
+   * @param {Array|Object} logData - Array of runs ({ lastRun, changes }), or a single legacy run
+   */
+  loadLogs(logData) {
+    // If the file has multiple runs, take all the changes
+    if (Array.isArray(logData)) {
+      const count = logData.reduce((total, run) => total + (Array.isArray(run.changes) ? run.changes.length : 0), 0);
+      this.logger.log(`Loaded ${count} historical data points from ${logData.length} runs`);
+    } else {
+      // Legacy format with single run
+      const count = Array.isArray(logData.changes) ? logData.changes.length : 0;
+      this.logger.log(`Loaded ${count} historical data points from single run`);
+    }
+    
+    this.useHistory(createMemoryHistory(logData));
+  }
+  
+  /**
+   * Use a history store (see history.js), e.g. the SQLite store, and analyze it
+   * @param {Object} history - History store
+   */
+  useHistory(history) {
+    this.history = history;
+    this.analyzeHistoricalData();
+  }
+  
+  /**
+   * Analyze historical data to extract property performance metrics
+   */
+  analyzeHistoricalData() {
+    // Loading replaces any history analyzed before
+    this.propertyStats = new Map();
+    
+    // History is kept by listing ID, so a listing whose URL changed keeps it.
+    // Entries of the current (resumed) run are not history
+    const options = { excludeRunId: this.runId };
+    for (const listingId of this.history.getListingIds()) {
+      const entries = this.history.getListingHistory(listingId, options).filter(entry => !entry.error);
+      if (entries.length === 0) continue;
+      
+      const stats = {
+        listingId,
+        url: entries[0].url,
+        occupancyHistory: this.history.getOccupancySeries(listingId, options),
+        // Saves that PriceLabs rejected or that read back different prices are
+        // left out, so they don't count towards the caps
+        priceHistory: this.history.getAdjustmentsSince(listingId, null, options),
+        adjustmentHistory: [],
+        lastUpdate: null
+      };
+      
+      // Calculate and record adjustment percentages
+      for (const priceEntry of stats.priceHistory) {
+        if (priceEntry.minPrice.before > 0 && priceEntry.basePrice.before > 0) {
+          const minPricePercentChange = ((priceEntry.minPrice.after - priceEntry.minPrice.before) / priceEntry.minPrice.before) * 100;
+          const basePricePercentChange = ((priceEntry.basePrice.after - priceEntry.basePrice.before) / priceEntry.basePrice.before) * 100;
+          
+          // Determine strategy from price changes
+          let strategy = "hold";
+          if (minPricePercentChange > 0.5 || basePricePercentChange > 0.5) {
+            strategy = "increase";
+          } else if (minPricePercentChange < -0.5 || basePricePercentChange < -0.5) {
+            strategy = "decrease";
+          }
+          
+          stats.adjustmentHistory.push({
+            date: priceEntry.date,
+            strategy: strategy,
+            minPricePercentChange: minPricePercentChange,
+            basePricePercentChange: basePricePercentChange
+          });
+        }
+      }
+      
+      // Last updated date
+      for (const entry of entries) {
+        if (!stats.lastUpdate || new Date(entry.date) > new Date(stats.lastUpdate)) {
+          stats.lastUpdate = entry.date;
+        }
+      }
+      
+      this.propertyStats.set(listingId, stats);
+    }
+    
+    this.logger.log(`Analyzed data for ${this.propertyStats.size} properties`);
+  }
+  
+  /**
+   * Set the upcoming calendar nights of a property for this run
+   * @param {string} propertyUrl - URL of the property
+   * @param {Array<Object>} nights - Nights ({ date, price, booked, minStay }), in date order
+   * @param {Object|null} [previous] - Latest earlier snapshot ({ date, nights }), for pickup
+   */
+  setCalendar(propertyUrl, nights, previous = null) {
+    const listingId = getListingId(propertyUrl);
+    this.calendars.set(listingId, nights);
+    this.previousCalendars.set(listingId, previous);
+  }
+  
+  /**
+   * Get the history analyzed for a property
+   * @param {string} propertyUrl - URL of the property (any URL with its listing ID)
+   * @returns {Object|null} - Stats ({ listingId, url, occupancyHistory, priceHistory, adjustmentHistory, lastUpdate })
+   */
+  getStats(propertyUrl) {
+    return this.propertyStats.get(getListingId(propertyUrl)) || null;
+  }
+  
+  /**
+   * Parse occupancy rate from string to decimal (0.25 instead of "25%")
+   * @param {string} rateStr - Occupancy rate as string (e.g., "85%")
+   * @returns {number} - Occupancy rate as decimal (0-1)
+   */
+  parseOccupancyRate(rateStr) {
+    return parseOccupancyRate(rateStr);
+  }
+  
+  /**
+   * Resolve the effective configuration for a property, applying the
+   * overrides of its groups and of its own entry in config.properties
+   * @param {string|null} listingId - PriceLabs listing ID, or null for the global config
+   * @returns {{config: Object, profile: Array<string>, policy: Object}} - Effective config,
+   *   applied profiles and the resolved guardrails/multipliers
+   */
+  getPropertyConfig(listingId) {
+    if (listingId === null) {
+      return { config: this.config, profile: ["global"], policy: this.globalPolicy };
+    }
+    
+    if (!this.propertyConfigs.has(listingId)) {
+      const resolved = resolvePropertyConfig(this.config, listingId);
+      let policy;
+      try {
+        policy = resolvePolicy(resolved.config);
+      } catch (error) {
+        throw new Error(`Invalid settings for listing ${listingId}: ${error.message}`);
+      }
+      this.propertyConfigs.set(listingId, { ...resolved, policy });
+    }
+    return this.propertyConfigs.get(listingId);
+  }
+  
+  /**
+   * Get the names of the config profiles applied to a property, for the change log
+   * @param {string} propertyUrl - URL of the property
+   * @returns {Array<string>} - e.g. ["global", "group:beachfront", "listing:12345"]
+   */
+  getConfigProfile(propertyUrl) {
+    return this.getPropertyConfig(getListingId(propertyUrl)).profile;
+  }
+  
+  /**
+   * Get the strategy plugin selected for a property (its effective
+   * strategyPlugin setting, falling back to the default plugin)
+   * @param {string|null} listingId - PriceLabs listing ID, or null for the global plugin
+   * @returns {Object} - Strategy plugin from the registry
+   */
+  getStrategyPlugin(listingId) {
+    const { config } = this.getPropertyConfig(listingId);
+    return getStrategy(config.strategyPlugin || DEFAULT_STRATEGY);
+  }
+  
+  /**
+   * Get the name and version of the strategy plugin used for a property, for the ledger
+   * @param {string|null} propertyUrl - URL of the property, or null for the global plugin
+   * @returns {string} - e.g. "occupancy-threshold@1.0.0"
+   */
+  getStrategyVersion(propertyUrl) {
+    const plugin = this.getStrategyPlugin(propertyUrl === null ? null : getListingId(propertyUrl));
+    return `${plugin.name}@${plugin.version || "unversioned"}`;
+  }
+  
+  /**
+   * Build the context handed to strategy plugins
+   * @param {string} propertyUrl - URL of the property
+   * @param {Object} currentOccupancy - Current occupancy rates
+   * @param {string} priceType - Type of price ("min" or "base")
+   * @returns {Object} - Strategy context
+   */
+  buildStrategyContext(propertyUrl, currentOccupancy, priceType) {
+    const listingId = getListingId(propertyUrl);
+    const { config, profile, policy } = this.getPropertyConfig(listingId);
+    
+    // Upcoming nights scraped from the calendar, if any
+    const nights = this.calendars.get(listingId) || null;
+    const today = this.clock.now().toISOString().split("T")[0];
+    const calendar = nights ? { nights, summary: summarizeCalendar(nights, today) } : null;
+    
+    // Parse occupancy rates - N/A is taken from the booked nights in the calendar
+    // when it covers the window, and treated as 0% otherwise
+    const rateOrCalendar = (rate, window) => {
+      const missing = rate === null || rate === undefined || rate === "N/A" || rate === "";
+      if (missing && calendar && calendar.summary[window].occupancy !== null) {
+        return calendar.summary[window].occupancy;
+      }
+      return this.parseOccupancyRate(rate);
+    };
+    const sevenDay = rateOrCalendar(currentOccupancy["7_day_occ"], "sevenDay");
+    const thirtyDay = rateOrCalendar(currentOccupancy["30_day_occ"], "thirtyDay");
+    const sixtyDay = rateOrCalendar(currentOccupancy["60_day_occ"], "sixtyDay");
+    
+    // Get weights from config or use defaults if not specified
+    const weights = config.occupancyWeights || { sevenDay: 0.6, thirtyDay: 0.3, sixtyDay: 0.1 };
+    
+    // Get thresholds from config or use defaults if not specified
+    const thresholds = config.occupancyThresholds || { 
+      high: 0.85, 
+      medium: 0.50, 
+      low: 0.40, 
+      critical: 0.20 
+    };
+    
+    // Calculate weighted average of all time periods
+    const weighted = (sevenDay * weights.sevenDay) + 
+                     (thirtyDay * weights.thirtyDay) + 
+                     (sixtyDay * weights.sixtyDay);
+    
+    // Trend, occupancy against the average and pickup over the past runs
+    const stats = this.getStats(propertyUrl);
+    const metrics = calculateBookingMetrics({
+      occupancyHistory: stats ? stats.occupancyHistory : [],
+      occupancy: { sevenDay, thirtyDay, sixtyDay },
+      nights,
+      previousCalendar: this.previousCalendars.get(listingId) || null
+    }, policy.metrics);
+    
+    return {
+      propertyUrl,
+      listingId,
+      priceType,
+      config,
+      configProfile: profile,
+      policy,
+      occupancy: { sevenDay, thirtyDay, sixtyDay, weighted },
+      weights,
+      thresholds,
+      stats,
+      calendar,
+      metrics,
+      now: this.clock.now(),
+      calculateOccupancyTrend: (history, settings) => this.calculateOccupancyTrend(history, settings),
+      log: (message) => this.logger.log(message)
+    };
+  }
+  
+  /**
+   * Get property-specific strategy based on historical performance
+   * @param {string} propertyUrl - URL of the property
+   * @param {Object} currentOccupancy - Current occupancy rates
+   * @returns {string} - Strategy to use: "increase", "decrease", or "hold"
+   */
+  getPropertyStrategy(propertyUrl, currentOccupancy) {
+    const context = this.buildStrategyContext(propertyUrl, currentOccupancy, null);
+    return this.getStrategyPlugin(context.listingId).decide(context);
+  }
+  
+  /**
+   * Calculate the trend in 7-day occupancy rates (percentage points change).
+   * Strategy plugins get the configured trend as context.metrics.trend.
+   * @param {Array} occupancyHistory - History of occupancy rates
+   * @param {Object} [settings] - Trend settings (policy.metrics.trend); the last two runs by default
+   * @returns {number} - Trend as percentage points change per run
+   */
+  calculateOccupancyTrend(occupancyHistory, settings = { method: "latest", runs: 1, smoothingFactor: 1 }) {
+    return calculateTrend(getOccupancySeries(occupancyHistory, "sevenDay"), settings);
+  }
+  
+  /**
+   * Calculate adjusted price based on strategy and property history
+   * @param {string} propertyUrl - URL of the property
+   * @param {number} currentPrice - Current price value
+   * @param {Object} currentOccupancy - Current occupancy rates
+   * @param {string} priceType - Type of price ("min" or "base")
+   * @returns {number} - Adjusted price
+   */
+  calculateAdjustedPrice(propertyUrl, currentPrice, currentOccupancy, priceType) {
+    // Get appropriate strategy for this property from its plugin
+    const context = this.buildStrategyContext(propertyUrl, currentOccupancy, priceType);
+    const plugin = this.getStrategyPlugin(context.listingId);
+    const strategy = plugin.decide(context);
+    
+    // Determine adjustment percentage based on strategy and occupancy levels
+    const adjustmentPercentage = plugin.adjust(strategy, context);
+    if (adjustmentPercentage === null || adjustmentPercentage === undefined) {
+      return currentPrice;
+    }
+    
+    // Calculate the adjustment
+    const adjustment = currentPrice * (adjustmentPercentage / 100);
+    let adjustedPrice = Math.round(currentPrice + adjustment);
+    
+    this.logger.log(`  Price adjustment: ${currentPrice} -> ${adjustedPrice} (${adjustmentPercentage > 0 ? "+" : ""}${adjustmentPercentage.toFixed(1)}%)`);
+    
+    // For min price, ensure it's at least 20% (by default) below base price if this is a min price adjustment
+    if (priceType === "min" && this.getStats(propertyUrl)) {
+      const stats = this.getStats(propertyUrl);
+      if (stats.priceHistory.length > 0) {
+        const recentPrices = stats.priceHistory[0];
+        const recentBasePrice = recentPrices.basePrice.after;
+        const minBelowBase = context.policy.guardrails.minBelowBasePercentage;
+        
+        // Ensure min price is at least minBelowBase% below base price
+        const minAllowedPrice = Math.round(recentBasePrice * (1 - minBelowBase / 100));
+        if (adjustedPrice > minAllowedPrice) {
+          this.logger.log(`  Capping min price to ensure it's at least ${minBelowBase}% below base price: ${adjustedPrice} -> ${minAllowedPrice}`);
+          adjustedPrice = minAllowedPrice;
+        }
+      }
+    }
+    
+    // Enforce the hard price limits (floor, ceiling and maximum drift)
+    const limits = getPriceLimits(context.config.priceLimits, priceType);
+    const referencePrice = limits.maxDriftPercentage !== null
+      ? findReferencePrice(context.stats ? context.stats.priceHistory : [], priceType, limits.maxDriftDays, context.now) || currentPrice
+      : null;
+    const limited = applyPriceLimits(adjustedPrice, { priceType, limits, referencePrice });
+    for (const clamp of limited.clamps) {
+      this.logger.log(`  GUARDRAIL: ${priceType} price ${clamp.from} ${clamp.reason} - clamping to ${clamp.to}`);
+    }
+    adjustedPrice = limited.price;
+    this.recordClamps(propertyUrl, priceType, limited.clamps);
+    
+    // Store this adjustment
+    if (this.getStats(propertyUrl)) {
+      const stats = this.getStats(propertyUrl);
+      
+      if (!stats.adjustmentHistory) {
+        stats.adjustmentHistory = [];
+      }
+      
+      // Record this adjustment
+      stats.adjustmentHistory.push({
+        date: context.now.toISOString().split("T")[0], // YYYY-MM-DD
+        strategy: strategy,
+        percentChange: adjustmentPercentage,
+        minPricePercentChange: priceType === "min" ? adjustmentPercentage : 0,
+        basePricePercentChange: priceType === "base" ? adjustmentPercentage : 0
+      });
+    }
+    
+    return adjustedPrice;
+  }
+  
+  /**
+   * Remember the guardrail clamps applied to a property's latest adjustment
+   * @param {string} propertyUrl - URL of the property
+   * @param {string} priceType - Type of price ("min" or "base")
+   * @param {Array} clamps - Clamps from applyPriceLimits()
+   */
+  recordClamps(propertyUrl, priceType, clamps) {
+    const others = this.getClamps(propertyUrl).filter(clamp => clamp.priceType !== priceType);
+    this.clamps.set(propertyUrl, [...others, ...clamps]);
+  }
+  
+  /**
+   * Get the guardrail clamps applied to a property's latest min/base adjustment
+   * @param {string} propertyUrl - URL of the property
+   * @returns {Array} - Clamps ({ priceType, rule, from, to, reason })
+   */
+  getClamps(propertyUrl) {
+    return this.clamps.get(propertyUrl) || [];
+  }
+
+  /**
+   * Check whether a property was adjusted too recently to be adjusted again
+   * (guardrails.minAdjustmentIntervalDays), from its last applied change in the history
+   * @param {string} propertyUrl - URL of the property
+   * @returns {string|null} - Reason to skip the property, or null if it may be adjusted
+   */
+  checkAdjustmentInterval(propertyUrl) {
+    const { policy } = this.getPropertyConfig(getListingId(propertyUrl));
+    const intervalDays = policy.guardrails.minAdjustmentIntervalDays;
+    const stats = this.getStats(propertyUrl);
+    if (!intervalDays || !stats) {
+      return null;
+    }
+    
+    // Rejected and mismatched saves never made it into priceHistory
+    const lastChangeDate = stats.priceHistory
+      .filter(entry => entry.minPrice.before !== entry.minPrice.after || entry.basePrice.before !== entry.basePrice.after)
+      .map(entry => entry.date)
+      .sort()
+      .pop();
+    if (!lastChangeDate) {
+      return null;
+    }
+    
+    const today = this.clock.now().toISOString().split("T")[0];
+    const daysSince = Math.round((Date.parse(today) - Date.parse(lastChangeDate)) / (24 * 60 * 60 * 1000));
+    if (daysSince >= intervalDays) {
+      return null;
+    }
+    
+    return `last adjusted on ${lastChangeDate}, ${daysSince} day${daysSince === 1 ? "" : "s"} ago ` +
+      `(minimum interval ${intervalDays} day${intervalDays === 1 ? "" : "s"})`;
+  }
+  
+  /**
+   * Check a price against the property's hard floor and ceiling
+   * @param {string} propertyUrl - URL of the property
+   * @param {number} price - Price to check (live or planned)
+   * @param {string} priceType - Type of price ("min" or "base")
+   * @returns {string|null} - Description of the violation, or null if the price is within limits
+   */
+  checkPriceLimits(propertyUrl, price, priceType) {
+    const { config } = this.getPropertyConfig(getListingId(propertyUrl));
+    const violation = checkHardLimits(price, getPriceLimits(config.priceLimits, priceType));
+    return violation ? `${priceType} ${violation}` : null;
+  }
+}
+
+export default PricingStrategyCore;